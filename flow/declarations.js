@@ -1,7 +1,7 @@
 declare var document: Document;
 
 declare class RouteRegExp extends RegExp {
-  keys: Array<{ name: string, optional: boolean }>;
+  keys: Array<{ name: string, optional: boolean, repeat?: boolean, delimiter?: string }>;
 }
 
 declare type PathToRegexpOptions = {
@@ -14,6 +14,7 @@ declare module 'path-to-regexp' {
   declare module.exports: {
     (path: string, keys?: Array<?{ name: string }>, options?: PathToRegexpOptions): RouteRegExp;
     compile: (path: string) => (params: Object) => string;
+    parse: (path: string) => Array<string | Object>;
   }
 }
 
@@ -25,7 +26,7 @@ declare type NavigationGuard = (
   next: (to?: RawLocation | false | Function | void) => void
 ) => any
 
-declare type AfterNavigationHook = (to: Route, from: Route) => any
+declare type AfterNavigationHook = (to: Route, from: Route, failure?: any) => any
 
 type Position = { x: number, y: number };
 type PositionResult = Position | { selector: string, offset?: Position } | void;
@@ -39,6 +40,19 @@ declare type RouterOptions = {
   linkExactActiveClass?: string;
   parseQuery?: (query: string) => Object;
   stringifyQuery?: (query: Object) => string;
+  strictRoutes?: boolean;
+  maxRedirects?: number;
+  strictParams?: boolean;
+  omitDefaultParams?: boolean;
+  encodeParam?: (value: string) => string;
+  decodeParam?: (value: string) => string;
+  encodePath?: (path: string) => string;
+  mergeMeta?: boolean | (parentMeta: Object, childMeta: Object) => Object;
+  guardTimeout?: number;
+  slowNavigationThreshold?: number;
+  canonicalization?: CanonicalizationOptions;
+  locale?: string;
+  localePrefix?: LocalePrefixOptions;
   scrollBehavior?: (
     to: Route,
     from: Route,
@@ -46,10 +60,27 @@ declare type RouterOptions = {
   ) => PositionResult | Promise<PositionResult>;
 }
 
-declare type RedirectOption = RawLocation | ((to: Route) => RawLocation)
+declare type CanonicalizationOptions = {
+  trailingSlash?: 'always' | 'never' | 'ignore';
+  lowercase?: boolean;
+  collapseSlashes?: boolean;
+}
+
+declare type LocalePrefixOptions = {
+  locales: Array<string>;
+  defaultLocale?: string;
+}
+
+declare type RedirectOption = RawLocation | ((to: Route) => RawLocation | Promise<RawLocation>)
+
+declare type ParamTypeOption =
+  | string
+  | RegExp
+  | ((raw: string) => any)
+  | { parse: (raw: string) => any, stringify?: (value: any) => string }
 
 declare type RouteConfig = {
-  path: string;
+  path?: string | Dictionary<string>;
   name?: string;
   component?: any;
   components?: Dictionary<any>;
@@ -61,18 +92,36 @@ declare type RouteConfig = {
   props?: boolean | Object | Function;
   caseSensitive?: boolean;
   pathToRegexpOptions?: PathToRegexpOptions;
+  params?: Dictionary<ParamTypeOption>;
+  paramDefaults?: Dictionary<any>;
+  enumerateParams?: () => Array<Dictionary<any>> | Promise<Array<Dictionary<any>>>;
+  loadChildren?: () => Promise<Array<RouteConfig>>;
+  canMatch?: (location: Location, router: any) => boolean;
+  guardTimeout?: number;
 }
 
 declare type RouteRecord = {
   path: string;
   regex: RouteRegExp;
+  paramTypes: ?Dictionary<{ parse: (raw: string) => any, stringify: (value: any) => string }>;
+  paramDefaults: ?Dictionary<any>;
   components: Dictionary<any>;
   instances: Dictionary<any>;
   name: ?string;
   parent: ?RouteRecord;
   redirect: ?RedirectOption;
   matchAs: ?string;
+  locale: ?string;
+  pathless: boolean;
+  localized: ?Dictionary<RouteRecord>;
+  alias: Array<string>;
   beforeEnter: ?NavigationGuard;
+  enumerateParams: ?() => Array<Dictionary<any>> | Promise<Array<Dictionary<any>>>;
+  loadChildren: ?() => Promise<Array<RouteConfig>>;
+  prefixRegex: ?RouteRegExp;
+  canMatch: ?(location: Location, router: any) => boolean;
+  guardTimeout: ?number;
+  fallback: ?RouteRecord;
   meta: any;
   props: boolean | Object | Function | Dictionary<boolean | Object | Function>;
 }
@@ -80,10 +129,11 @@ declare type RouteRecord = {
 declare type Location = {
   _normalized?: boolean;
   name?: string;
+  locale?: string;
   path?: string;
   hash?: string;
   query?: Dictionary<string>;
-  params?: Dictionary<string>;
+  params?: Dictionary<any>;
   append?: boolean;
   replace?: boolean;
 }
@@ -95,9 +145,12 @@ declare type Route = {
   name: ?string;
   hash: string;
   query: Dictionary<string>;
-  params: Dictionary<string>;
+  params: Dictionary<any>;
   fullPath: string;
   matched: Array<RouteRecord>;
   redirectedFrom?: string;
   meta?: any;
+  locale?: string;
+  _pendingRedirect?: Promise<Route>;
+  signal?: any;
 }
@@ -68,7 +68,8 @@ export default {
     // 通过depth获取匹配的route record
     // 由于formatMatch是通过unshift添加父route record的
     // 所以route.matched[depth]正好能取到匹配的route record
-    const matched = route.matched[depth]
+    // 没有组件的路由分组不需要渲染router-view，计算depth时跳过
+    const matched = route.matched.filter(record => !record.pathless || hasComponents(record))[depth]
     const component = matched && matched.components[name] // 取出路由组件
 
     // render empty node if no matched route or no config component
@@ -178,3 +179,7 @@ function resolveProps (route, config) {
       }
   }
 }
+// 路由记录是否配置了组件
+function hasComponents (record) {
+  return Object.keys(record.components).some(key => record.components[key])
+}
@@ -1,16 +1,59 @@
 /* @flow */
 
 import type VueRouter from './index'
-import { resolvePath } from './util/path'
-import { assert, warn } from './util/warn'
+import { resolvePath, canonicalizePath } from './util/path'
+import { assert, warn, isExtendedError } from './util/warn'
 import { createRoute } from './util/route'
-import { fillParams } from './util/params'
-import { createRouteMap } from './create-route-map'
+import { fillParams, fillDefaultParams, omitDefaultParams, cloneParams } from './util/params'
+import { parseParams } from './util/param-types'
+import {
+  createRouteMap,
+  removeRouteRecord,
+  isAliasRecord
+} from './create-route-map'
 import { normalizeLocation } from './util/location'
+import { extend } from './util/misc'
+import { createRouteTrie } from './create-route-trie'
+import type { RouteTrie } from './create-route-trie'
+import { NavigationRedirectLoop } from './history/errors'
+import { splitLocalePrefix, addLocalePrefix, resolveLocale } from './util/locale-prefix'
+import { getEncoding } from './util/encoding'
+
+// 匹配缓存的最大条目数，超出后清空
+const MAX_MATCH_CACHE_SIZE = 1000
+// 默认的最大重定向次数
+export const DEFAULT_MAX_REDIRECTS = 10
 
 export type Matcher = {
   match: (raw: RawLocation, current?: Route, redirectedFrom?: Location) => Route;
+  explain: (raw: RawLocation, current?: Route) => MatchExplanation;
+  matchStrict: (raw: RawLocation, current?: Route) => Route;
+  buildRoute: (location: Location) => Route;
+  loadChildren: (raw: RawLocation, current?: Route) => ?Promise<void>;
   addRoutes: (routes: Array<RouteConfig>) => void;
+  addRoute: (parentNameOrRoute: string | RouteConfig, route?: RouteConfig) => void;
+  removeRoute: (name: string) => void;
+  hasRoute: (name: string) => boolean;
+  getRoutes: () => Array<RouteRecord>;
+};
+
+// 匹配过程的说明，用于调试
+export type MatchExplanation = {
+  route: Route, // 最终匹配的Route
+  tested: Array<{
+    path: string, // 路由记录的path
+    name: ?string,
+    regex: string, // 路由记录编译后的正则
+    matched: boolean,
+    params: Object, // 从url中提取的参数
+    reason?: string // 正则匹配但仍未匹配的原因
+  }>,
+  hops: Array<{
+    type: 'redirect' | 'alias',
+    from: string, // 触发跳转的路由记录的path
+    to: Location // 跳转的目标地址
+  }>,
+  error?: NavigationRedirectLoop // 重定向形成死循环时的错误，此时route为未匹配的Route
 };
 
 export function createMatcher (
@@ -19,10 +62,179 @@ export function createMatcher (
 ): Matcher {
   debugger
   const { pathList, pathMap, nameMap } = createRouteMap(routes) // 创建路由映射表
+  let trie: ?RouteTrie = null // 路由前缀树，在首次匹配时创建
+  let matchCache = Object.create(null) // 缓存path的匹配结果，path -> { record: 匹配的路由记录, rawParams: 转换类型前的params } | null
+  let matchCacheSize = 0
+  let trace: ?{ tested: Array<any>, hops: Array<any> } = null // 调用explain时，记录匹配过程
+  const redirectChain: Array<string> = [] // 正在进行的重定向经过的路径，用于检测死循环
+  let pendingRedirects = Object.create(null) // 未完成的异步重定向，重定向链及目标位置 -> Promise<Route>
+  let strict = false // 调用matchStrict时，参数缺失或不合法会抛出错误
+  let building = false // 调用buildRoute时，只根据命名路由的path生成Route，不进行canMatch、重定向及别名的匹配
+  let childrenLoads: Array<{ load: Function, loaded: boolean, promise: Promise<void> }> = [] // 懒加载子路由的加载状态
+  // 路由发生变化后，需要重新创建前缀树并清空匹配缓存
+  function invalidate () {
+    trie = null
+    invalidateMatchCache()
+    pendingRedirects = Object.create(null)
+  }
   // 添加路由
   function addRoutes (routes) {
     // 由于传入pathList, pathMap, nameMap了，所以createRouteMap方法会执行添加逻辑
     createRouteMap(routes, pathList, pathMap, nameMap)
+    invalidate()
+  }
+  // 添加单条路由，支持传入父路由的name，将其添加为该路由的子路由
+  function addRoute (parentOrRoute, route) {
+    const parent = typeof parentOrRoute !== 'object'
+      ? nameMap[parentOrRoute]
+      : undefined
+    if (typeof parentOrRoute !== 'object' && !parent) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(false, `Cannot add route: parent route with name '${String(parentOrRoute)}' does not exist`)
+      }
+      return
+    }
+    // 父路由为多语言路由时，需要添加到每种语言的路由记录下
+    const parents = parent && parent.localized
+      ? Object.keys(parent.localized).map(locale => (parent: any).localized[locale])
+      : [parent]
+    // 父路由存在别名时，需要先找出其别名路由记录，再进行添加
+    const aliases = parent
+      ? getRoutes().filter(record => !record.pathless && parents.some(parent => !!parent && isAliasRecord(record, parent)))
+      : []
+    parents.forEach(parent => {
+      // $flow-disable-line
+      createRouteMap([route || parentOrRoute], pathList, pathMap, nameMap, parent)
+    })
+    // 别名路由下也需要添加对应的子路由
+    aliases.forEach(alias => {
+      // $flow-disable-line route is defined if parent is
+      createRouteMap([route], pathList, pathMap, nameMap, alias)
+    })
+    invalidate()
+  }
+  // 通过name删除路由，其子路由、别名路由也会被删除
+  function removeRoute (name) {
+    const record = nameMap[name]
+    if (process.env.NODE_ENV !== 'production') {
+      warn(record, `Cannot remove route: route with name '${name}' does not exist`)
+    }
+    if (record) {
+      removeRouteRecord(pathList, pathMap, nameMap, record)
+      // 删除的路由重新添加后，需要重新加载子路由
+      childrenLoads = childrenLoads.filter(entry => getRoutes().some(r => r.loadChildren === entry.load))
+      invalidate()
+    }
+  }
+  // 是否存在对应name的路由
+  function hasRoute (name) {
+    return !!nameMap[name]
+  }
+  // 获取所有路由记录
+  function getRoutes () {
+    const records = []
+    pathList.forEach(path => {
+      // path相同的路由记录
+      for (let record = pathMap[path]; record; record = record.fallback) {
+        // 路由分组不在pathList中，放在其第一个子路由记录之前
+        addPathlessParents(records, record.parent)
+        records.push(record)
+      }
+    })
+    // 没有子路由记录的路由分组(如子路由尚未加载)只能通过name找到
+    Object.keys(nameMap).forEach(name => {
+      const record = nameMap[name]
+      if (record.pathless && records.indexOf(record) < 0) records.push(record)
+    })
+    return records
+  }
+  // location的path命中尚未加载的懒加载子路由时，加载并注册子路由，没有需要加载的子路由时返回null
+  function loadChildren (raw: RawLocation, currentRoute?: Route): ?Promise<void> {
+    const location = normalizeLocation(raw, currentRoute, false, router)
+    // 命名路由无法确定需要加载哪些子路由
+    if (location.name || !location.path) return null
+    const localePrefix = router && router.options.localePrefix
+    const path = localePrefix
+      ? splitLocalePrefix(location.path, localePrefix).path
+      : location.path
+    const loads = []
+    getRoutes().forEach(record => {
+      const load = record.loadChildren
+      if (
+        load && record.prefixRegex && record.prefixRegex.test(path) &&
+        loads.indexOf(load) < 0 && !childrenLoads.some(entry => entry.load === load && entry.loaded)
+      ) {
+        loads.push(load)
+      }
+    })
+    if (!loads.length) return null
+    // 加载的子路由中可能还有懒加载子路由，需要继续加载
+    return Promise.all(loads.map(loadRecordChildren))
+      .then(() => loadChildren(raw, currentRoute) || undefined)
+  }
+  // 加载子路由，并添加到所有使用该加载函数的路由记录(别名、多语言路由)下，同一个加载函数只会加载一次
+  function loadRecordChildren (load: Function): Promise<void> {
+    for (let i = 0; i < childrenLoads.length; i++) {
+      if (childrenLoads[i].load === load) return childrenLoads[i].promise
+    }
+    const entry = {
+      load,
+      loaded: false,
+      promise: new Promise(resolve => resolve(load())).then(children => {
+        entry.loaded = true
+        getRoutes()
+          .filter(record => record.loadChildren === load)
+          .forEach(parent => {
+            createRouteMap(children, pathList, pathMap, nameMap, parent)
+          })
+        invalidate()
+      }, err => {
+        // 加载失败时不缓存，下次导航时重新加载
+        childrenLoads = childrenLoads.filter(e => e !== entry)
+        throw err
+      })
+    }
+    childrenLoads.push(entry)
+    return entry.promise
+  }
+  // 匹配location，并返回匹配过程中测试过的路由记录及重定向、别名的跳转
+  function explain (raw: RawLocation, currentRoute?: Route): MatchExplanation {
+    const prevTrace = trace
+    const tested = []
+    const hops = []
+    trace = { tested, hops }
+    try {
+      return { route: match(raw, currentRoute), tested, hops }
+    } catch (e) {
+      // 重定向死循环时不抛出错误，返回经过的跳转及错误，便于调试
+      if (!isExtendedError(NavigationRedirectLoop, e)) throw e
+      const location = normalizeLocation(raw, currentRoute, false, router)
+      return { route: createRoute(null, location, null, router), tested, hops, error: e }
+    } finally {
+      trace = prevTrace
+    }
+  }
+  // 严格模式匹配location，命名路由不存在、参数缺失或不合法时抛出错误，而不是生成空的path
+  function matchStrict (raw: RawLocation, currentRoute?: Route): Route {
+    const prevStrict = strict
+    strict = true
+    try {
+      return match(raw, currentRoute)
+    } finally {
+      strict = prevStrict
+    }
+  }
+  // 严格模式生成命名路由的Route，用于buildPath，不会调用redirect函数，重定向的目标缺少参数也不影响
+  function buildRoute (location: Location): Route {
+    const prevStrict = strict
+    const prevBuilding = building
+    strict = building = true
+    try {
+      return match(location)
+    } finally {
+      strict = prevStrict
+      building = prevBuilding
+    }
   }
   debugger
   // 传入location,返回匹配的Route对象
@@ -33,14 +245,17 @@ export function createMatcher (
   ): Route {
     // 获取格式化后的location，由于闭包特性，所以此处能访问到router实例
     const location = normalizeLocation(raw, currentRoute, false, router)
+    const localePrefix = router && router.options.localePrefix
+    const canonicalization = router && router.options.canonicalization
     const { name } = location
     // 通过name匹配
     if (name) {
-      const record = nameMap[name]
+      const record = getLocalizedRecord(nameMap[name], location, currentRoute)
       if (process.env.NODE_ENV !== 'production') {
         // 未找到警告
         warn(record, `Route with name '${name}' does not exist`)
       }
+      if (strict) assert(record, `Route with name '${name}' does not exist`)
       // 未找到路由记录，则创建一个空Route返回
       if (!record) return _createRoute(null, location)
       // 获取动态路由参数名
@@ -59,34 +274,241 @@ export function createMatcher (
           }
         }
       }
-      // 填充params
-      location.path = fillParams(record.path, location.params, `named route "${name}"`)
+      const test = trace && traceTest(record, true, location.params)
+      // 未传入的参数使用默认值
+      fillDefaultParams(location.params, record.paramDefaults)
+      // 填充params，开启omitDefaultParams时，url中省略与默认值相同的可选参数
+      const pathParams = router && router.options.omitDefaultParams
+        ? omitDefaultParams(location.params, record.paramDefaults, record.regex.keys, record.paramTypes)
+        : location.params
+      const path = fillParams(record.path, pathParams, `named route "${name}"`, record.paramTypes, strict ? name : null, getEncoding(router).encodeParam)
+      location.path = canonicalizePath(path, canonicalization)
+      // 添加语言前缀，未指定语言时沿用当前Route的语言
+      if (localePrefix) {
+        location.locale = resolveLocale(localePrefix, [location.locale, currentRoute && currentRoute.locale])
+        location.path = canonicalizePath(addLocalePrefix(path, location.locale), canonicalization)
+      }
+      // 按照参数类型转换params
+      if (!parseParams(location.params, record.paramTypes)) {
+        if (test) test.reason = 'invalid params'
+        if (process.env.NODE_ENV !== 'production') {
+          warn(false, `invalid params for named route "${name}": ${JSON.stringify(location.params)}`)
+        }
+      }
+      // buildPath只需要命名路由自身的path
+      if (building) return createRoute(record, location, null, router)
+      // 路由分组本身不会被匹配，使用生成的path匹配其默认子路由，没有默认子路由时返回空Route
+      if (record.pathless) {
+        const route = match({
+          _normalized: true,
+          path: location.path,
+          locale: location.locale,
+          query: location.query,
+          hash: location.hash
+        }, currentRoute, redirectedFrom)
+        if (route.matched.indexOf(record) > -1) return route
+        if (process.env.NODE_ENV !== 'production') {
+          warn(false, `Route with name '${name}' is a route group without a default child route, it cannot be navigated to by name`)
+        }
+        return _createRoute(null, location)
+      }
+      // canMatch返回false时，使用生成的path匹配其它路由记录
+      if (!canMatchRecord(record, location)) {
+        return match({
+          _normalized: true,
+          path: location.path,
+          locale: location.locale,
+          query: location.query,
+          hash: location.hash
+        }, currentRoute, redirectedFrom)
+      }
       // 创建route
       return _createRoute(record, location, redirectedFrom)
     } else if (location.path) {
-      location.params = {}
-      // 遍历pathList，找到能匹配到的记录，然后生成Route
-      for (let i = 0; i < pathList.length; i++) {
-        const path = pathList[i]
-        const record = pathMap[path]
-        if (matchRoute(record.regex, location.path, location.params)) {
-          // 找到匹配的路由记录后，生成对应Route
-          return _createRoute(record, location, redirectedFrom)
+      // 使用规范的path进行匹配，生成的Route的path也是规范的path
+      let path = canonicalizePath(location.path, canonicalization)
+      location.path = path
+      // 分离出语言前缀，使用去除前缀后的path进行匹配，生成的Route的path始终带有语言前缀
+      if (localePrefix) {
+        const split = splitLocalePrefix(path, localePrefix)
+        path = split.path
+        location.locale = resolveLocale(localePrefix, [split.locale, location.locale, currentRoute && currentRoute.locale])
+        location.path = canonicalizePath(addLocalePrefix(path, location.locale), canonicalization)
+      }
+      // 优先使用缓存的匹配结果，explain时需要重新匹配以记录匹配过程
+      let cached = trace ? undefined : matchCache[path]
+      let record, params
+      if (cached) {
+        // 缓存的是解码后、转换类型前的params，每次匹配时重新转换，自定义类型的参数值不会在Route之间共享
+        params = cloneParams(cached.rawParams)
+        if (parseParams(params, cached.record.paramTypes)) {
+          record = cached.record
+          fillDefaultParams(params, record.paramDefaults)
+        } else {
+          // 转换失败时(转换结果取决于运行时的状态)，重新匹配
+          cached = undefined
         }
       }
+      if (cached === undefined) {
+        const { result, cacheable } = matchPath(path, location)
+        if (result) {
+          record = result.record
+          params = result.params
+        }
+        // 调用过canMatch时，匹配结果取决于运行时的状态，不能缓存
+        if (!trace && cacheable) {
+          if (matchCacheSize >= MAX_MATCH_CACHE_SIZE) invalidateMatchCache()
+          matchCache[path] = result ? { record: result.record, rawParams: result.rawParams } : null
+          matchCacheSize++
+        }
+      }
+      if (record && params) {
+        location.params = params
+        // 找到匹配的路由记录后，生成对应Route
+        return _createRoute(record, location, redirectedFrom)
+      }
+      location.params = {}
     }
     // no match
     return _createRoute(null, location)
   }
+  // 多语言命名路由，获取对应语言的路由记录
+  // 语言优先级：location.locale > router.locale > 当前Route的语言 > 第一种语言
+  function getLocalizedRecord (
+    record: ?RouteRecord,
+    location: Location,
+    currentRoute?: Route
+  ): ?RouteRecord {
+    if (!record || !record.localized) return record
+    const locale = location.locale ||
+      (router && router.locale) ||
+      (currentRoute && currentRoute.locale)
+    return (locale && record.localized[locale]) || record
+  }
+  // 从前缀树中找出可能匹配的路由记录，依次进行匹配
+  function matchPath (
+    path: string,
+    location: Location
+  ): { result: ?{ record: RouteRecord, params: Object, rawParams: Object }, cacheable: boolean } {
+    if (!trie) trie = createRouteTrie(pathList)
+    const candidates = trie.candidates(path)
+    let cacheable = true
+    const decode = getEncoding(router).decodeParam
+    const records = []
+    candidates.forEach(candidate => {
+      for (let record = pathMap[candidate]; record; record = record.fallback) {
+        records.push(record)
+      }
+    })
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i]
+      const params = {}
+      const matched = matchRoute(record.regex, path, params, decode)
+      const test = trace && traceTest(record, matched, params)
+      // 参数类型不合法时，继续匹配下一个路由记录
+      if (!matched) continue
+      const rawParams = cloneParams(params)
+      if (!parseParams(params, record.paramTypes)) {
+        if (test) {
+          test.matched = false
+          test.reason = 'invalid params'
+        }
+        continue
+      }
+      // url中缺失的可选参数使用默认值
+      fillDefaultParams(params, record.paramDefaults)
+      // canMatch返回false时，继续匹配下一个路由记录
+      if (hasCanMatch(record)) {
+        cacheable = false
+        const candidate = extend({}, location)
+        candidate.params = extend({}, params)
+        if (!canMatchRecord(record, candidate)) {
+          if (test) {
+            test.matched = false
+            test.reason = 'canMatch'
+          }
+          continue
+        }
+      }
+      return { result: { record, params, rawParams }, cacheable }
+    }
+    return { result: null, cacheable }
+  }
+  // 路由记录及其父路由记录是否配置了canMatch
+  function hasCanMatch (record: ?RouteRecord): boolean {
+    while (record) {
+      if (record.canMatch) return true
+      record = record.parent
+    }
+    return false
+  }
+  // 依次调用路由记录及其父路由记录的canMatch，任意一个返回false时不能匹配
+  function canMatchRecord (record: ?RouteRecord, location: Location): boolean {
+    while (record) {
+      if (record.canMatch && !record.canMatch(location, router)) return false
+      record = record.parent
+    }
+    return true
+  }
+  // 记录测试过的路由记录
+  function traceTest (record: RouteRecord, matched: boolean, params: Object): Object {
+    const test = {
+      path: record.path,
+      name: record.name,
+      regex: String(record.regex),
+      matched,
+      params: extend({}, params)
+    }
+    if (trace) trace.tested.push(test)
+    return test
+  }
+  // 清空匹配缓存
+  function invalidateMatchCache () {
+    matchCache = Object.create(null)
+    matchCacheSize = 0
+  }
   // 创建重定向Route
   function redirect (
     record: RouteRecord, // 触发重定向的路由记录(需要进行重定向的路由记录，包含redirect)
     location: Location // 触发重定向的初始地址（多次重定向时用到）
   ): Route {
     const originalRedirect = record.redirect
-    let redirect = typeof originalRedirect === 'function' // redirect支持传入函数;https://router.vuejs.org/zh/guide/essentials/redirect-and-alias.html#重定向
-      ? originalRedirect(createRoute(record, location, null, router))
-      : originalRedirect
+    if (typeof originalRedirect !== 'function') {
+      return resolveRedirect(record, location, originalRedirect)
+    }
+    // redirect支持传入函数;https://router.vuejs.org/zh/guide/essentials/redirect-and-alias.html#重定向
+    const route = createRoute(record, location, null, router)
+    // 同一位置的异步重定向尚未完成时复用其Promise，resolve、router-link渲染时不会重复调用redirect函数
+    const key = redirectChain.concat(route.fullPath).join('\n')
+    if (pendingRedirects[key]) {
+      return createPendingRoute(location, pendingRedirects[key])
+    }
+    const redirect: any = originalRedirect(route)
+    // redirect函数返回Promise时为异步重定向，先返回一个未完成重定向的Route，由transitionTo等待重定向完成
+    if (redirect && typeof redirect.then === 'function') {
+      const chain = redirectChain.slice()
+      const pending = redirect.then(target => {
+        const redirected = withRedirectChain(chain, () => resolveRedirect(record, location, target))
+        // 重定向的目标仍是异步重定向时，继续等待
+        return redirected._pendingRedirect || redirected
+      })
+      // Promise完成后移除缓存，之后的匹配会重新调用redirect函数
+      // 同时避免只调用resolve时，Promise被拒绝后未处理的警告
+      const remove = () => {
+        if (pendingRedirects[key] === pending) delete pendingRedirects[key]
+      }
+      pending.then(remove, remove)
+      pendingRedirects[key] = pending
+      return createPendingRoute(location, pending)
+    }
+    return resolveRedirect(record, location, redirect)
+  }
+  // 根据重定向的目标创建Route
+  function resolveRedirect (
+    record: RouteRecord,
+    location: Location,
+    redirect: any
+  ): Route {
     // redirect返回的是一个路径path，如'/bar'
     if (typeof redirect === 'string') {
       redirect = { path: redirect }
@@ -102,6 +524,7 @@ export function createMatcher (
     }
     // 到这一步，redirect一定是个object
     const re: Object = redirect
+    if (trace) trace.hops.push({ type: 'redirect', from: record.path, to: extend({}, re) })
     const { name, path } = re
     let { query, hash, params } = location
     query = re.hasOwnProperty('query') ? re.query : query
@@ -118,6 +541,8 @@ export function createMatcher (
       return match({
         _normalized: true,
         name,
+        // 多语言路由重定向到命名路由时，使用相同的语言
+        locale: re.locale || record.locale || location.locale,
         query,
         hash,
         params
@@ -127,11 +552,12 @@ export function createMatcher (
       // 1. resolve relative redirect，解析出完整路径
       const rawPath = resolveRecordPath(path, record)
       // 2. resolve params，填充params
-      const resolvedPath = fillParams(rawPath, params, `redirect route with path "${rawPath}"`)
+      const resolvedPath = fillParams(rawPath, params, `redirect route with path "${rawPath}"`, record.paramTypes, strict ? rawPath : null, getEncoding(router).encodeParam)
       // 3. rematch with existing query and hash，重新匹配
       return match({
         _normalized: true,
         path: resolvedPath,
+        locale: location.locale, // 重定向时保持相同的语言
         query,
         hash
       }, undefined, location)
@@ -142,6 +568,24 @@ export function createMatcher (
       return _createRoute(null, location)
     }
   }
+  // 在指定的重定向路径下执行，异步重定向完成时需要恢复之前的重定向路径以检测死循环
+  function withRedirectChain (chain: Array<string>, fn: () => Route): Route {
+    const saved = redirectChain.splice(0)
+    redirectChain.push.apply(redirectChain, chain)
+    try {
+      return fn()
+    } finally {
+      redirectChain.length = 0
+      redirectChain.push.apply(redirectChain, saved)
+    }
+  }
+  // 创建未完成异步重定向的Route，_pendingRedirect在重定向完成后返回最终的Route
+  function createPendingRoute (location: Location, pending: Promise<Route>): Route {
+    const route = extend({}, createRoute(null, location, null, router))
+    // 不可枚举，避免影响Route的比较
+    Object.defineProperty(route, '_pendingRedirect', { value: pending })
+    return Object.freeze(route)
+  }
   // 创建别名Route
   function alias (
     record: RouteRecord,
@@ -149,7 +593,8 @@ export function createMatcher (
     matchAs: string
   ): Route {
     // 获取别名的完整路径
-    const aliasedPath = fillParams(matchAs, location.params, `aliased route with path "${matchAs}"`)
+    const aliasedPath = fillParams(matchAs, location.params, `aliased route with path "${matchAs}"`, record.paramTypes, null, getEncoding(router).encodeParam)
+    if (trace) trace.hops.push({ type: 'alias', from: record.path, to: { path: aliasedPath }})
     // 获取别名匹配的原始Route
     const aliasedMatch = match({
       _normalized: true,
@@ -171,7 +616,18 @@ export function createMatcher (
   ): Route {
     // 路由记录被标记为重定向
     if (record && record.redirect) {
-      return redirect(record, redirectedFrom || location)
+      const path = location.path || '/'
+      const maxRedirects = getMaxRedirects(router)
+      // 重定向到已经过的路径，或重定向次数过多时，抛出错误，避免无限递归
+      if (redirectChain.indexOf(path) > -1 || redirectChain.length >= maxRedirects) {
+        throw new NavigationRedirectLoop(redirectChain.concat(path), maxRedirects)
+      }
+      redirectChain.push(path)
+      try {
+        return redirect(record, redirectedFrom || location)
+      } finally {
+        redirectChain.pop()
+      }
     }
     // 路由记录被标记为别名路由，见create-route-map.js
     if (record && record.matchAs) {
@@ -181,17 +637,26 @@ export function createMatcher (
     return createRoute(record, location, redirectedFrom, router)
   }
 
-  // 返回Matcher对象，暴露match、addRoutes方法
+  // 返回Matcher对象，暴露match、addRoutes等方法
   return {
     match,
-    addRoutes
+    explain,
+    matchStrict,
+    buildRoute,
+    loadChildren,
+    addRoutes,
+    addRoute,
+    removeRoute,
+    hasRoute,
+    getRoutes
   }
 }
 // 检查path是否能通过regex的匹配，并对params对象正确赋值
 function matchRoute (
   regex: RouteRegExp,
   path: string,
-  params: Object
+  params: Object,
+  decode: (value: string) => string // 参数值的解码方式
 ): boolean {
   const m = path.match(regex)
 
@@ -210,7 +675,13 @@ function matchRoute (
   // keys = [{ name: 'bar', prefix: '/', suffix: '', pattern: '[^\\/#\\?]+?', modifier: '' }]
   for (let i = 1, len = m.length; i < len; ++i) {
     const key = regex.keys[i - 1] // regex.keys返回匹配到的
-    const val = typeof m[i] === 'string' ? decodeURIComponent(m[i]) : m[i]
+    let val = m[i]
+    if (typeof val === 'string') {
+      // 可重复参数(如/:path+)，按分隔符拆分为数组后再分别解码，避免编码后的分隔符被拆分
+      val = key && key.repeat
+        ? val.split(key.delimiter || '/').map(segment => decode(segment))
+        : decode(val)
+    }
     if (key) {
       // Fix #1994: using * with props: true generates a param named 0
       params[key.name || 'pathMatch'] = val
@@ -219,6 +690,17 @@ function matchRoute (
 
   return true
 }
+// 按照从外到内的顺序添加尚未添加的路由分组
+function addPathlessParents (records: Array<RouteRecord>, record: ?RouteRecord) {
+  if (!record) return
+  addPathlessParents(records, record.parent)
+  if (record.pathless && records.indexOf(record) < 0) records.push(record)
+}
+// 获取最大重定向次数
+export function getMaxRedirects (router: ?VueRouter): number {
+  const max = router && router.options.maxRedirects
+  return typeof max === 'number' ? max : DEFAULT_MAX_REDIRECTS
+}
 // 解析record中的path
 function resolveRecordPath (path: string, record: RouteRecord): string {
   return resolvePath(path, record.parent ? record.parent.path : '/', true)
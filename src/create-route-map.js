@@ -3,13 +3,18 @@
 import Regexp from 'path-to-regexp'
 import { cleanPath } from './util/path'
 import { assert, warn } from './util/warn'
+import { getPathScore, comparePathScore } from './util/score'
+import { normalizeParamTypes } from './util/param-types'
+import { extend } from './util/misc'
+import type { ParamType } from './util/param-types'
 
 // 创建路由映射map、添加路由记录
 export function createRouteMap (
   routes: Array<RouteConfig>, // 路由配置列表
   oldPathList?: Array<string>, // 旧pathList
   oldPathMap?: Dictionary<RouteRecord>, // 旧pathMap
-  oldNameMap?: Dictionary<RouteRecord>// 旧nameMap
+  oldNameMap?: Dictionary<RouteRecord>, // 旧nameMap
+  parentRoute?: RouteRecord // 父路由记录，addRoute添加子路由时使用
 ): {
   pathList: Array<string>,
   pathMap: Dictionary<RouteRecord>,
@@ -22,11 +27,24 @@ export function createRouteMap (
   const pathMap: Dictionary<RouteRecord> = oldPathMap || Object.create(null)
   // $flow-disable-line
   const nameMap: Dictionary<RouteRecord> = oldNameMap || Object.create(null)
+  // 添加路由前已有的path，只提示新添加的路由与其它路由的歧义，已有的路由之间已经提示过
+  // $flow-disable-line
+  const existing: Dictionary<boolean> = Object.create(null)
+  pathList.forEach(path => {
+    existing[path] = true
+  })
   // 遍历路由配置对象，生成/添加路由记录
   routes.forEach(route => {
-    addRouteRecord(pathList, pathMap, nameMap, route)
+    // 父路由是别名路由记录时，子路由同样需要生成别名路由记录
+    const matchAs = parentRoute && parentRoute.matchAs
+      ? getChildMatchAs(parentRoute.matchAs, route.path, parentRoute.locale)
+      : undefined
+    addRouteRecord(pathList, pathMap, nameMap, route, parentRoute, matchAs)
   })
 
+  // 按照路由的得分排序，保证匹配结果与声明顺序无关
+  rankPathList(pathList, pathMap, existing)
+
   // ensure wildcard routes are always at the end
   // 确保path:*永远在在最后
   for (let i = 0, l = pathList.length; i < l; i++) {
@@ -55,6 +73,47 @@ export function createRouteMap (
     nameMap
   }
 }
+// 对pathList进行排序，得分高的路径排在前面，得分相同时保持原有顺序
+function rankPathList (
+  pathList: Array<string>,
+  pathMap: Dictionary<RouteRecord>,
+  existing: Dictionary<boolean> // 之前已经检查过的path
+) {
+  const ranked = pathList.map((path, index) => ({
+    path,
+    index,
+    score: getPathScore(path).score
+  }))
+  ranked.sort((a, b) => comparePathScore(a.score, b.score) || a.index - b.index)
+  ranked.forEach(({ path }, i) => {
+    pathList[i] = path
+  })
+
+  // 开发环境，提示形状相同的路由，它们会匹配相同的url，只有先声明的会生效
+  if (process.env.NODE_ENV !== 'production') {
+    const shapes = Object.create(null)
+    pathList.forEach(path => {
+      // 声明了参数类型的路由，参数不合法时会继续匹配下一个路由，不存在歧义
+      // 配置了canMatch的路由，不能匹配时同样会继续匹配下一个路由
+      if (pathMap[path].paramTypes || pathMap[path].canMatch) return
+      // 大小写不敏感时，形状也忽略大小写
+      const shape = pathMap[path].regex.ignoreCase
+        ? getPathScore(path).shape.toLowerCase()
+        : getPathScore(path).shape
+      if (shapes[shape]) {
+        if (existing[path] && existing[shapes[shape]]) return
+        warn(
+          false,
+          `The routes "${shapes[shape]}" and "${path}" are ambiguous: ` +
+            `they match the same paths with the same priority, ` +
+            `only "${shapes[shape]}" will be matched.`
+        )
+      } else {
+        shapes[shape] = path
+      }
+    })
+  }
+}
 // 添加路由记录，更新pathList、pathMap、nameMap
 function addRouteRecord (
   pathList: Array<string>,
@@ -62,9 +121,29 @@ function addRouteRecord (
   nameMap: Dictionary<RouteRecord>,
   route: RouteConfig,
   parent?: RouteRecord, // 父路由时记录
-  matchAs?: string // 处理别名路由时使用
+  matchAs?: string, // 处理别名路由时使用
+  locale?: string // 多语言路由的语言，子路由与父路由的语言一致
 ) {
-  const { path, name } = route
+  if (!locale && parent) locale = parent.locale || undefined
+  // path为多语言map时(如{ en: '/about', de: '/ueber-uns' })，为每种语言分别生成路由记录
+  if (route.path && typeof route.path === 'object') {
+    const paths = route.path
+    // 父路由为多语言路由时，只生成对应语言的路由记录
+    ;(locale ? [locale] : Object.keys(paths)).forEach(locale => {
+      const localizedRoute = extend({}, route)
+      localizedRoute.path = getLocalizedPath(paths, locale)
+      // 别名路由的子路由，需要使用对应语言的path生成matchAs
+      const localizedMatchAs = matchAs && parent && parent.matchAs
+        ? cleanPath(`${parent.matchAs}/${localizedRoute.path}`)
+        : matchAs
+      addRouteRecord(pathList, pathMap, nameMap, localizedRoute, parent, localizedMatchAs, locale)
+    })
+    return
+  }
+  // 没有path但有子路由时为路由分组，不占用url片段，子路由的path相对于父路由解析
+  const pathless = route.path == null && !!route.children
+  const path: string = pathless ? (parent ? parent.path : '') : (route.path: any)
+  const { name } = route
   if (process.env.NODE_ENV !== 'production') {
     // route.path不能为空
     assert(path != null, `"path" is required in a route configuration.`)
@@ -80,7 +159,7 @@ function addRouteRecord (
   const pathToRegexpOptions: PathToRegexpOptions =
     route.pathToRegexpOptions || {}
   // 生成格式化后的path(子路由会拼接上父路由的path)
-  const normalizedPath = normalizePath(path, parent, pathToRegexpOptions.strict)
+  const normalizedPath = pathless ? path : normalizePath(path, parent, pathToRegexpOptions.strict)
   // 匹配规则是否大小写敏感？(默认值：false)
   if (typeof route.caseSensitive === 'boolean') {
     pathToRegexpOptions.sensitive = route.caseSensitive
@@ -89,13 +168,33 @@ function addRouteRecord (
   const record: RouteRecord = {
     path: normalizedPath,
     regex: compileRouteRegex(normalizedPath, pathToRegexpOptions), // 利用path-to-regexp包生成用来匹配path的增强正则对象，可以用来匹配动态路由
+    paramTypes: getParamTypes(route, normalizedPath, parent), // 参数类型，匹配时用来转换参数
+    paramDefaults: getParamDefaults(route, parent), // 参数默认值，参数缺失时使用
     components: route.components || { default: route.component }, // 保存路由组件，支持命名视图https://router.vuejs.org/zh/guide/essentials/named-views.html#%E5%91%BD%E5%90%8D%E8%A7%86%E5%9B%BE
     instances: {}, // 保存每个命名router-view需要渲染的路由组件
     name,
     parent,
     matchAs,
+    locale, // 多语言路由的语言
+    pathless, // 是否为路由分组
+    localized: null, // 多语言命名路由，各语言对应的路由记录
+    alias: route.alias // 保存别名，removeRoute、addRoute时需要用到
+      ? typeof route.alias === 'string'
+        ? [route.alias]
+        : route.alias
+      : [],
     redirect: route.redirect, // 重定向的路由配置对象
     beforeEnter: route.beforeEnter, // 路由独享的守卫
+    enumerateParams: route.enumerateParams, // 列出动态路由的所有参数，用于生成sitemap
+    loadChildren: route.loadChildren, // 懒加载子路由
+    canMatch: route.canMatch, // 匹配时调用，返回false时继续匹配下一个路由记录
+    guardTimeout: route.guardTimeout != null // 守卫的超时时间，未配置时使用父路由的配置
+      ? route.guardTimeout
+      : parent && parent.guardTimeout,
+    fallback: null, // path相同的下一条路由记录，canMatch返回false时使用
+    prefixRegex: route.loadChildren // 匹配path前缀的正则，用于判断是否需要加载子路由
+      ? Regexp(normalizedPath, [], extend({ end: false }, pathToRegexpOptions))
+      : null,
     meta: route.meta || {}, // 元信息
     props: // 动态路由传参；https://router.vuejs.org/zh/guide/essentials/passing-props.html#%E8%B7%AF%E7%94%B1%E7%BB%84%E4%BB%B6%E4%BC%A0%E5%8F%82
       route.props == null
@@ -112,10 +211,12 @@ function addRouteRecord (
     // https://github.com/vuejs/vue-router/issues/629
     // 命名路由 && 未使用重定向 && 子路由配置对象path为''或/时，使用父路由的name跳转时，子路由将不会被渲染
     if (process.env.NODE_ENV !== 'production') {
+      // 路由分组通过name跳转时会匹配其默认子路由，不需要警告
       if (
         route.name &&
         !route.redirect &&
-        route.children.some(child => /^\/?$/.test(child.path))
+        !pathless &&
+        route.children.some(child => child.path != null && /^\/?$/.test(getLocalizedPath(child.path, locale)))
       ) {
         warn(
           false,
@@ -132,18 +233,23 @@ function addRouteRecord (
     // 遍历生成子路由记录
     route.children.forEach(child => {
       const childMatchAs = matchAs // matchAs若有值，代表当前路由是别名路由，则需要单独生成别名路由的子路由，路径前缀需使用matchAs
-        ? cleanPath(`${matchAs}/${child.path}`)
+        ? getChildMatchAs(matchAs, child.path, locale)
         : undefined
-      addRouteRecord(pathList, pathMap, nameMap, child, record, childMatchAs)
+      addRouteRecord(pathList, pathMap, nameMap, child, record, childMatchAs, locale)
     })
   }
-  // 若pathMap中不存在当前路径，则更新pathList和pathMap
-  if (!pathMap[record.path]) {
+  // 若pathMap中不存在当前路径，则更新pathList和pathMap；路由分组本身不会被匹配
+  if (!pathless && !pathMap[record.path]) {
     pathList.push(record.path)
     pathMap[record.path] = record
+  } else if (!pathless && hasCanMatchRecord(pathMap[record.path], record)) {
+    // path相同且配置了canMatch时，按照声明顺序依次尝试匹配
+    let last = pathMap[record.path]
+    while (last.fallback) last = last.fallback
+    last.fallback = record
   }
   // 处理别名；https://router.vuejs.org/zh/guide/essentials/redirect-and-alias.html#%E5%88%AB%E5%90%8D
-  if (route.alias !== undefined) {
+  if (route.alias !== undefined && !pathless) {
     const aliases = Array.isArray(route.alias) ? route.alias : [route.alias] // alias支持string，和Array<String>
     for (let i = 0; i < aliases.length; ++i) {
       const alias = aliases[i]
@@ -158,7 +264,9 @@ function addRouteRecord (
       // 生成别名路由配置对象
       const aliasRoute = {
         path: alias,
-        children: route.children
+        params: route.params, // 别名路由使用相同的参数类型
+        children: route.children,
+        loadChildren: route.loadChildren // 别名路由下同样需要加载子路由
       }
       // 添加别名路由记录
       addRouteRecord(
@@ -167,16 +275,23 @@ function addRouteRecord (
         nameMap,
         aliasRoute, // 别名路由
         parent, // 当前路由的父路由，因为是给当前路由取了个别名，所以二者其实是有同个父路由的
-        record.path || '/' // matchAs，用来生成别名路由的子路由；
+        record.path || '/', // matchAs，用来生成别名路由的子路由；
+        locale
       )
       // ! 总结：当前路由设置了alias后，会单独为当前路由及其所有子路由生成路由记录，且子路由的path前缀为matchAs(即别名路由的path)
     }
   }
   // 处理命名路由
   if (name) {
+    const named = nameMap[name]
     // 更新nameMap
-    if (!nameMap[name]) {
+    if (!named) {
       nameMap[name] = record
+      // 多语言路由，nameMap中保存第一种语言的路由记录，并记录各语言对应的路由记录
+      if (locale) record.localized = { [locale]: record }
+    } else if (locale && named.localized && !named.localized[locale] && !matchAs) {
+      named.localized[locale] = record
+      record.localized = named.localized
     } else if (process.env.NODE_ENV !== 'production' && !matchAs) {
       // 路由重名警告
       warn(
@@ -212,10 +327,55 @@ function compileRouteRegex (
   }
   return regex
 }
+// 获取参数类型，子路由会继承父路由的参数类型
+function getParamTypes (
+  route: RouteConfig,
+  path: string,
+  parent?: RouteRecord
+): ?Dictionary<ParamType> {
+  const types = normalizeParamTypes(route.params, path)
+  const parentTypes = parent && parent.paramTypes
+  return parentTypes && types
+    ? extend(extend({}, parentTypes), types)
+    : types || parentTypes
+}
+// 获取参数默认值，子路由会继承父路由的参数默认值
+function getParamDefaults (route: RouteConfig, parent?: RouteRecord): ?Dictionary<any> {
+  const defaults = route.paramDefaults
+  const parentDefaults = parent && parent.paramDefaults
+  return parentDefaults && defaults
+    ? extend(extend({}, parentDefaults), defaults)
+    : defaults || parentDefaults
+}
+// path相同的路由记录中，是否有配置了canMatch的记录
+function hasCanMatchRecord (head: ?RouteRecord, record: RouteRecord): boolean {
+  if (record.canMatch) return true
+  while (head) {
+    if (head.canMatch) return true
+    head = head.fallback
+  }
+  return false
+}
+// 获取别名路由的子路由的matchAs，路由分组没有path，与父路由相同
+function getChildMatchAs (
+  matchAs: string,
+  path: ?(string | Dictionary<string>),
+  locale: ?string
+): string {
+  return path == null ? matchAs : cleanPath(`${matchAs}/${getLocalizedPath(path, locale)}`)
+}
+// 获取指定语言的path，未配置该语言时使用第一种语言的path
+export function getLocalizedPath (
+  path: string | Dictionary<string>,
+  locale: ?string
+): string {
+  if (typeof path === 'string') return path
+  return locale && path[locale] != null ? path[locale] : path[Object.keys(path)[0]]
+}
 // 格式化path，若为子路由，需要拼接父路由path
-function normalizePath (
+export function normalizePath (
   path: string,
-  parent?: RouteRecord,
+  parent?: { path: string },
   strict?: boolean
 ): string {
   if (!strict) path = path.replace(/\/$/, '') // 非严格模式，则将尾部的斜线去除
@@ -223,3 +383,76 @@ function normalizePath (
   if (parent == null) return path // 非子路由，直接返回
   return cleanPath(`${parent.path}/${path}`) // 子路由，需要拼接出完整path
 }
+// 删除路由记录，连同其子路由记录、别名路由记录一并从pathList、pathMap、nameMap中删除
+export function removeRouteRecord (
+  pathList: Array<string>,
+  pathMap: Dictionary<RouteRecord>,
+  nameMap: Dictionary<RouteRecord>,
+  record: RouteRecord // 需要删除的路由记录
+) {
+  // 多语言路由，各语言的路由记录需要一并删除
+  const records = record.localized
+    ? Object.keys(record.localized).map(locale => (record.localized: any)[locale])
+    : [record]
+  const isDescendant = (r: ?RouteRecord): boolean => {
+    while (r) {
+      if (records.indexOf(r) > -1) return true
+      r = r.parent
+    }
+    return false
+  }
+  // 被删除的记录及其子路由记录，用于查找别名路由记录
+  // 路由分组的path与父路由相同，父路由的别名路由记录不是分组的别名，只比较有path的路由记录
+  const originals: Array<RouteRecord> = records.filter(record => !record.pathless)
+  pathList.forEach(path => {
+    for (let r = pathMap[path]; r; r = r.fallback) {
+      if (isDescendant(r) && originals.indexOf(r) < 0) originals.push(r)
+    }
+  })
+  // 自身或祖先是被删除的记录(或其别名)时，需要一并删除
+  const isRemoved = (r: ?RouteRecord): boolean => {
+    while (r) {
+      const current = r
+      if (
+        records.indexOf(current) > -1 ||
+        originals.some(record => isAliasRecord(current, record))
+      ) return true
+      r = r.parent
+    }
+    return false
+  }
+
+  for (let i = pathList.length - 1; i >= 0; i--) {
+    const path = pathList[i]
+    // 从path相同的路由记录中移除被删除的记录
+    let head = pathMap[path]
+    while (head && isRemoved(head)) head = head.fallback
+    let prev = head
+    while (prev && prev.fallback) {
+      if (isRemoved(prev.fallback)) {
+        prev.fallback = prev.fallback.fallback
+      } else {
+        prev = prev.fallback
+      }
+    }
+    if (!head) {
+      pathList.splice(i, 1)
+      delete pathMap[path]
+    } else {
+      pathMap[path] = head
+    }
+  }
+  for (const name in nameMap) {
+    if (isRemoved(nameMap[name])) {
+      delete nameMap[name]
+    }
+  }
+}
+// 判断路由记录是否为record的别名路由记录(包括别名路由下生成的子路由记录)
+export function isAliasRecord (alias: RouteRecord, record: RouteRecord): boolean {
+  return (
+    alias !== record &&
+    alias.matchAs != null &&
+    alias.matchAs.replace(/\/$/, '') === record.path.replace(/\/$/, '')
+  )
+}
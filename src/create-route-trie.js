@@ -0,0 +1,63 @@
+/* @flow */
+
+export type RouteTrie = {
+  candidates: (path: string) => Array<string>;
+};
+
+type TrieNode = {
+  children: Dictionary<TrieNode>,
+  indexes: Array<number> // 路由记录在pathList中的索引
+}
+
+// 含有这些字符的段，是动态段(参数、通配符、正则、转义字符)
+const dynamicSegmentRE = /[:*?+()\\]/
+
+// 创建路由前缀树
+// 以路由path开头的静态段为key构建前缀树，路由记录挂在其最后一个静态段对应的节点上
+// 匹配时沿着url的各段向下查找，只有途经节点上的路由记录才可能匹配，只需对这些记录进行正则匹配
+export function createRouteTrie (pathList: Array<string>): RouteTrie {
+  const root = createNode()
+
+  pathList.forEach((path, index) => {
+    let node = root
+    // 非/开头的path(如*)，挂在根节点上，每次都需要测试
+    if (path.charAt(0) === '/') {
+      const segments = path.slice(1).split('/')
+      for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i]
+        if (!segment || dynamicSegmentRE.test(segment)) break
+        // 默认大小写不敏感，统一使用小写作为key，大小写敏感的路由仍会通过正则校验
+        const key = segment.toLowerCase()
+        node = node.children[key] || (node.children[key] = createNode())
+      }
+    }
+    node.indexes.push(index)
+  })
+
+  // 获取可能匹配path的路由记录，保持pathList中的顺序
+  function candidates (path: string): Array<string> {
+    let indexes = root.indexes.slice()
+    const segments = path.slice(1).split('/')
+    let node = root
+    for (let i = 0; i < segments.length; i++) {
+      node = node.children[segments[i].toLowerCase()]
+      if (!node) break
+      indexes = indexes.concat(node.indexes)
+    }
+    return indexes
+      .sort((a, b) => a - b)
+      .map(index => pathList[index])
+  }
+
+  return {
+    candidates
+  }
+}
+
+function createNode (): TrieNode {
+  return {
+    // $flow-disable-line
+    children: Object.create(null),
+    indexes: []
+  }
+}
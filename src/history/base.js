@@ -4,14 +4,34 @@ import { _Vue } from '../install'
 import type Router from '../index'
 import { inBrowser } from '../util/dom'
 import { runQueue } from '../util/async'
-import { warn, isError, isExtendedError } from '../util/warn'
-import { START, isSameRoute } from '../util/route'
+import { warn, isError } from '../util/warn'
+import { START, isSameRoute, createRoute } from '../util/route'
+import { normalizeLocation } from '../util/location'
+import { extend } from '../util/misc'
+import { createAbortController } from '../util/abort'
+import { emit } from '../util/events'
+import { now } from '../util/state-key'
+import type { NavigationAbortController } from '../util/abort'
 import {
   flatten,
   flatMapComponents,
   resolveAsyncComponents
 } from '../util/resolve-components'
-import { NavigationDuplicated } from './errors'
+import {
+  NavigationDuplicated,
+  NavigationAborted,
+  NavigationCancelled,
+  NavigationRedirected,
+  NavigationRedirectLoop,
+  NavigationTimeout,
+  NavigationFailureType,
+  describeGuard,
+  isNavigationFailure
+} from './errors'
+import { getMaxRedirects } from '../create-matcher'
+
+// 默认的慢导航阈值，守卫超过该时间仍未调用next或返回结果时，调用onSlowNavigation钩子或给予警告
+export const GUARD_WARNING_TIMEOUT = 10000
 
 // 父类
 export class History {
@@ -19,11 +39,13 @@ export class History {
   base: string
   current: Route
   pending: ?Route
+  pendingController: ?NavigationAbortController // 正在进行的导航的中止控制器
   cb: (r: Route) => void
   ready: boolean
   readyCbs: Array<Function>
   readyErrorCbs: Array<Function>
   errorCbs: Array<Function>
+  redirectChain: Array<string>
 
   // implemented by sub-classes
   // 需要子类(HTML5History、HashHistory)实现的方法
@@ -40,10 +62,12 @@ export class History {
     // start with a route object that stands for "nowhere"
     this.current = START // 当前指向的route对象，默认为START；即from
     this.pending = null // 记录将要跳转的route；即to
+    this.pendingController = null
     this.ready = false
     this.readyCbs = []
     this.readyErrorCbs = []
     this.errorCbs = []
+    this.redirectChain = [] // 守卫中重定向(next('/x'))经过的路径，用于检测死循环
   }
 
   // 设置监听器，在updateRoute时回调被调用
@@ -65,6 +89,27 @@ export class History {
   onError (errorCb: Function) {
     this.errorCbs.push(errorCb)
   }
+  // 记录正在进行的导航，传入null时取消正在进行的导航，被取代或取消的导航的signal会被中止
+  setPending (route: ?Route, controller: ?NavigationAbortController) {
+    const prev = this.pending
+    const prevController = this.pendingController
+    this.pending = route
+    this.pendingController = controller
+    if (prev && prevController && prevController !== controller) {
+      prevController.abort(new NavigationCancelled(this.current, prev))
+    }
+  }
+  // 导航结束(完成或失败)
+  clearPending () {
+    this.pending = null
+    this.pendingController = null
+  }
+  // 取消正在进行的导航，与next(false)相同，恢复当前路由的url(如前进、后退时url已经改变)
+  cancelPending () {
+    if (!this.pending) return
+    this.ensureURL(true)
+    this.setPending(null, null)
+  }
 
   // 路由跳转
   transitionTo (
@@ -72,48 +117,145 @@ export class History {
     onComplete?: Function, // 跳转成功回调
     onAbort?: Function// 跳转失败回调
   ) {
-    const route = this.router.match(location, this.current) // 传入需要跳转的location和当前路由对象，返回to的Route
+    const current = this.current
+    const startTime = now() // 导航开始的时间，用于导航事件的计时
+    const controller = createAbortController() // 本次导航的中止控制器，守卫可以通过to.signal获取signal
+    let route
+    let pending // 需要等待完成的Promise，完成后得到最终的Route
+    let matchError // 匹配时出现的错误
+    try {
+      // 命中尚未加载的懒加载子路由时，先加载并注册子路由，再重新匹配
+      const loading = this.router.matcher.loadChildren(location, current)
+      if (loading) {
+        route = createRoute(null, normalizeLocation(location, current, false, this.router), null, this.router)
+        pending = loading.then(() => {
+          const loaded = this.router.match(location, current)
+          return loaded._pendingRedirect || loaded
+        })
+      } else {
+        route = this.router.match(location, current) // 传入需要跳转的location和当前路由对象，返回to的Route
+        pending = route._pendingRedirect
+      }
+    } catch (e) {
+      // 匹配出错(如重定向死循环)时，以未匹配的Route作为目标，之后取消跳转
+      matchError = e
+      this.redirectChain = []
+      route = createRoute(null, normalizeLocation(location, current, false, this.router), null, this.router)
+    }
+    emit(this.router, 'navigationStart', { to: route, from: current })
+    const abort = err => { // onAbort，报错（取消）
+      if (onAbort) {
+        onAbort(err)
+      }
+      // 触发error回调，重定向、取消导航时，会在之后的导航完成后触发ready回调
+      if (err && !this.ready && (!isNavigationFailure(err) || isNavigationFailure(err, NavigationFailureType.duplicated))) {
+        this.ready = true
+        this.readyErrorCbs.forEach(cb => {
+          cb(err)
+        })
+      }
+    }
+    if (matchError) {
+      const err = matchError
+      if (this.errorCbs.length) {
+        this.errorCbs.forEach(cb => {
+          cb(err)
+        })
+      } else {
+        warn(false, 'uncaught error during route navigation:')
+        console.error(err)
+      }
+      emit(this.router, 'navigationError', { to: route, from: current, error: err }, startTime)
+      return abort(err)
+    }
     // 确认跳转
-    this.confirmTransition(
-      route,
-      () => { // onComplete，完成
-        this.updateRoute(route) // 更新route，会触发afterEach钩子
-        onComplete && onComplete(route) // 调用onComplete回调
-        this.ensureURL()
+    const confirm = (route: Route) => {
+      this.confirmTransition(
+        route,
+        () => { // onComplete，完成
+          this.updateRoute(route) // 更新route，会触发afterEach钩子
+          onComplete && onComplete(route) // 调用onComplete回调
+          this.ensureURL()
 
-        // fire ready cbs once
-        // 触发ready回调
-        if (!this.ready) {
-          this.ready = true
-          this.readyCbs.forEach(cb => {
-            cb(route)
-          })
-        }
-      },
-      err => { // onAbort，报错（取消）
-        if (onAbort) {
-          onAbort(err)
-        }
-        // 触发error回调
-        if (err && !this.ready) {
-          this.ready = true
-          this.readyErrorCbs.forEach(cb => {
-            cb(err)
-          })
+          // fire ready cbs once
+          // 触发ready回调
+          if (!this.ready) {
+            this.ready = true
+            this.readyCbs.forEach(cb => {
+              cb(route)
+            })
+          }
+        },
+        abort,
+        controller,
+        startTime
+      )
+    }
+    // 异步重定向或加载子路由时，等待完成后再确认跳转，守卫只会在最终的Route上执行
+    if (pending) {
+      const placeholder = route
+      this.setPending(placeholder, controller)
+      pending.then(
+        resolved => {
+          // 等待期间开始了新的跳转，取消当前跳转
+          if (this.pending !== placeholder) {
+            const failure = new NavigationCancelled(current, resolved)
+            callAfterHooks(this.router, resolved, current, failure)
+            emit(this.router, 'navigationCancel', { to: resolved, from: current, failure }, startTime)
+            return abort(failure)
+          }
+          confirm(resolved)
+        },
+        err => {
+          if (this.pending === placeholder) {
+            this.clearPending()
+            this.redirectChain = []
+          }
+          if (this.errorCbs.length) {
+            this.errorCbs.forEach(cb => {
+              cb(err)
+            })
+          } else {
+            warn(false, 'uncaught error during route navigation:')
+            console.error(err)
+          }
+          emit(this.router, 'navigationError', { to: placeholder, from: current, error: err }, startTime)
+          abort(err)
         }
-      }
-    )
+      )
+      return
+    }
+    confirm(route)
   }
   // 确认路由跳转
-  confirmTransition (/* to*/route: Route, onComplete: Function, onAbort?: Function) {
+  confirmTransition (
+    /* to*/route: Route,
+    onComplete: Function,
+    onAbort?: Function,
+    controller?: NavigationAbortController, // transitionTo创建的中止控制器
+    started?: number // transitionTo中导航开始的时间
+  ) {
     const current = this.current /* from */
+    const startTime = started != null ? started : now()
+    // 直接调用confirmTransition时(如AbstractHistory的go)，在此开始导航
+    if (started == null) {
+      emit(this.router, 'navigationStart', { to: route, from: current })
+    }
+    const navigation = controller || createAbortController()
+    const signal = navigation.signal
+    // 取出守卫重定向经过的路径，只对本次跳转有效
+    const redirectChain = this.redirectChain
+    this.redirectChain = []
     // 取消
     const abort = err => {
       // after merging https://github.com/vuejs/vue-router/pull/2771 we
       // When the user navigates through history through back/forward buttons
       // we do not want to throw the error. We only throw it if directly calling
       // push/replace. That's why it's not included in isError
-      if (!isExtendedError(NavigationDuplicated, err) && isError(err)) {
+      // 导航失败不是程序错误，只会传给afterEach钩子
+      if (isNavigationFailure(err)) {
+        callAfterHooks(this.router, route, current, err)
+      } else if (isError(err)) {
         if (this.errorCbs.length) {
           this.errorCbs.forEach(cb => {
             cb(err)
@@ -123,6 +265,14 @@ export class History {
           console.error(err)
         }
       }
+      // 导航未完成时，中止signal，结束守卫中进行的请求
+      navigation.abort(err)
+      if (this.pending === route) this.clearPending()
+      if (isNavigationFailure(err)) {
+        emit(this.router, 'navigationCancel', { to: route, from: current, failure: err }, startTime)
+      } else {
+        emit(this.router, 'navigationError', { to: route, from: current, error: err }, startTime)
+      }
       onAbort && onAbort(err)
     }
     // 相同Route，报重复错误
@@ -134,7 +284,16 @@ export class History {
     ) {
       // ensureURL由子类实现，主要根据传参确定是添加还是替换一个记录
       this.ensureURL() // 替换当前历史记录
-      return abort(new NavigationDuplicated(route))
+      return abort(new NavigationDuplicated(current, route))
+    }
+    // 守卫重定向到已经过的路径，或重定向次数过多时，取消跳转
+    const maxRedirects = getMaxRedirects(this.router)
+    if (
+      isRedirectLoop(redirectChain, route.fullPath) ||
+      redirectChain.length > maxRedirects
+    ) {
+      this.ensureURL()
+      return abort(new NavigationRedirectLoop(redirectChain.concat(route.fullPath), maxRedirects))
     }
     // 对比前后route的RouteRecord，找出需要更新、失活、激活的的路由记录
     const { updated, deactivated, activated } = resolveQueue(
@@ -146,65 +305,144 @@ export class History {
       // in-component leave guards
       extractLeaveGuards(deactivated), // 提取路由组件中所有beforeRouteLeave守卫
       // global before hooks
-      this.router.beforeHooks, // 全局的beforeEach守卫
+      this.router.beforeHooks.map(hook => withGuardInfo(hook, 'global', 'beforeEach')), // 全局的beforeEach守卫
       // in-component update hooks
       extractUpdateHooks(updated), // 提取路由组件中所有beforeRouteUpdate守卫
       // in-config enter guards
-      activated.map(m => m.beforeEnter), // 路由独享的beforeEnter守卫
+      activated.map(m => withGuardInfo(m.beforeEnter, 'beforeEnter', 'beforeEnter', m)), // 路由独享的beforeEnter守卫
       // async components
       resolveAsyncComponents(activated)// 解析异步组件
     )
-    this.pending = route // 记录将要跳转的route，方便取消对比用
+    this.setPending(route, navigation) // 记录将要跳转的route，方便取消对比用
+    // 传给守卫的Route带有signal，导航被取代或取消时中止
+    const target = Object.freeze(Object.defineProperty(extend({}, route), 'signal', { value: signal }))
     // 迭代函数
     const iterator = (hook: NavigationGuard, next) => {
       if (this.pending !== route) { // 当发现to发生变化，则代表需要取消
-        return abort()
+        return abort(new NavigationCancelled(current, route))
       }
-      try {
-        hook(/* to*/route, /* from*/current, /* next*/(to: any) => {
-          if (to === false || isError(to)) {
-            // next(false) -> abort navigation, ensure current URL
-            // next(false) -> 取消跳转，添加一个新历史记录(但由于url地址未发生变化，所以并未添加记录)
-            this.ensureURL(true)
-            abort(to)
-          } else if (
-            typeof to === 'string' || // next('/')
-            (typeof to === 'object' &&
-              (typeof to.path === 'string' || typeof to.name === 'string')) // next({path:'/'})或next({name:'Home'})
-          ) {
-            // next('/') or next({ path: '/' }) -> redirect
-            abort() // 取消当前
-            if (typeof to === 'object' && to.replace) {
-              // 调用子类方法的替换记录
-              this.replace(to)
-            } else {
-              // 调用子类方法的添加记录
-              this.push(to)
-            }
+      // 守卫的结果只处理一次，可以通过调用next或返回值(Promise)给出
+      let settled = false
+      let slowTimer
+      let timeoutTimer
+      const guard = hook._guard // 守卫的类型、名称及所属的路由记录，异步组件的解析没有
+      const guardStartTime = now()
+      // 守卫进行中导航被取代或取消时，立即取消导航，不再等待守卫
+      const onCancel = () => {
+        if (settled) return
+        settle()
+        abort(new NavigationCancelled(current, route))
+      }
+      const settle = () => {
+        settled = true
+        clearTimeout(slowTimer)
+        clearTimeout(timeoutTimer)
+        signal.removeEventListener('abort', onCancel)
+        if (guard) emit(this.router, 'guardEnd', { to: route, from: current, guard }, guardStartTime)
+      }
+      signal.addEventListener('abort', onCancel)
+      const resolve = (to: any) => {
+        if (settled) {
+          if (process.env.NODE_ENV !== 'production' && !signal.aborted) {
+            warn(false, `The "next" callback of a navigation guard was called more than once in the navigation to "${route.fullPath}". It should be called exactly once.`)
+          }
+          return
+        }
+        settle()
+        if (to === false || isError(to)) {
+          // next(false) -> abort navigation, ensure current URL
+          // next(false) -> 取消跳转，添加一个新历史记录(但由于url地址未发生变化，所以并未添加记录)
+          this.ensureURL(true)
+          abort(to === false ? new NavigationAborted(current, route) : to)
+        } else if (
+          typeof to === 'string' || // next('/')
+          (typeof to === 'object' &&
+            (typeof to.path === 'string' || typeof to.name === 'string')) // next({path:'/'})或next({name:'Home'})
+        ) {
+          // next('/') or next({ path: '/' }) -> redirect
+          abort(new NavigationRedirected(current, route)) // 取消当前
+          // 记录重定向经过的路径，在下一次跳转中检测死循环
+          this.redirectChain = redirectChain.concat(route.fullPath)
+          if (typeof to === 'object' && to.replace) {
+            // 调用子类方法的替换记录
+            this.replace(to)
           } else {
-            // confirm transition and pass on the value
-            // next()
-            next(to)
+            // 调用子类方法的添加记录
+            this.push(to)
           }
-        })
+        } else {
+          // confirm transition and pass on the value
+          // next()
+          next(to)
+        }
+      }
+      // 异步组件的解析不是守卫，不计时
+      if (guard) {
+        const timeout = getGuardTimeout(this.router, route, guard)
+        const threshold = this.router.options.slowNavigationThreshold || GUARD_WARNING_TIMEOUT
+        // 守卫执行时间超过阈值时，调用onSlowNavigation钩子，没有钩子时在开发环境下给予警告
+        if (!timeout || threshold < timeout) {
+          slowTimer = setTimeout(() => {
+            if (settled) return
+            const hooks = this.router.slowNavigationHooks
+            if (hooks.length) {
+              hooks.forEach(cb => {
+                cb && cb({ to: route, from: current, guard, elapsed: threshold })
+              })
+            } else if (process.env.NODE_ENV !== 'production') {
+              warn(false, `The navigation to "${route.fullPath}" is still pending after ${threshold}ms, waiting for ${describeGuard(guard)} to call "next" or return a value.`)
+            }
+          }, threshold)
+        }
+        // 守卫超过guardTimeout仍未给出结果时，以超时失败取消导航
+        if (timeout) {
+          timeoutTimer = setTimeout(() => {
+            if (settled) return
+            settle()
+            // 与next(false)相同，恢复当前路由的url(如前进、后退时url已经改变)
+            this.ensureURL(true)
+            abort(new NavigationTimeout(current, route, guard, timeout))
+          }, timeout)
+        }
+      }
+      if (guard) emit(this.router, 'guardStart', { to: route, from: current, guard })
+      try {
+        const result = hook(/* to*/target, /* from*/current, /* next*/resolve)
+        // 声明了next参数的守卫，需要调用next，返回值会被忽略(如(to, from, next) => setTimeout(next))，只处理Promise被拒绝的情况
+        // 未声明next参数的守卫(如jasmine spy、使用arguments的函数)已经调用了next时，也忽略返回值
+        const withNext = usesNext(hook)
+        if (result && typeof result.then === 'function') {
+          result.then(value => {
+            if (!withNext && !settled) resolve(value)
+          }, err => {
+            resolve(isError(err) ? err : new Error(String(err)))
+          })
+        } else if (!withNext && !settled) {
+          resolve(result)
+        }
       } catch (e) {
+        settle()
         abort(e)
       }
     }
     // 执行队列
     runQueue(queue, iterator, /* 执行结束回调*/() => {
+      emit(this.router, 'componentsResolved', { to: route, from: current }, startTime)
       const postEnterCbs = [] // 保存beforeRouteEnter中传给next的回调函数
       const isValid = () => this.current === route // 表示跳转结束
       // wait until async components are resolved before
       // extracting in-component enter guards
       const enterGuards = extractEnterGuards(activated, postEnterCbs, isValid) // 等待异步组件解析完，再抽取组件内的beforeRouteEnter守卫
-      const queue = enterGuards.concat(this.router.resolveHooks)// beforeResolve hooks
+      const queue = enterGuards.concat(
+        this.router.resolveHooks.map(hook => withGuardInfo(hook, 'global', 'beforeResolve'))
+      )// beforeResolve hooks
       runQueue(queue, iterator, /* 执行结束回调*/() => {
         if (this.pending !== route) {
-          return abort()
+          return abort(new NavigationCancelled(current, route))
         }
-        this.pending = null
+        this.clearPending()
         onComplete(route) // 执行onComplete回调，onComplete中会调用updateRoute方法，内部会触发afterEach钩子
+        emit(this.router, 'navigationEnd', { to: route, from: current }, startTime)
         if (this.router.app) {
           this.router.app.$nextTick(() => {
             // 调用 beforeRouteEnter 守卫中传给 next 的回调函数
@@ -223,12 +461,25 @@ export class History {
     this.current = route// 更新current
     // 调用updateRoute回调，回调中会重新为_routerRoot._route赋值，进而触发router-view的重新渲染
     this.cb && this.cb(route)
-    this.router.afterHooks.forEach(hook => { // 触发afterEach狗子
-      hook && hook(/* to*/route, /* from*/prev)
-    })
+    callAfterHooks(this.router, route, prev) // 触发afterEach狗子
   }
 }
 
+// 守卫重定向是否形成死循环
+// 重定向到自身一次是允许的，如addRoutes后调用next({ ...to, replace: true })重新匹配
+function isRedirectLoop (chain: Array<string>, path: string): boolean {
+  const index = chain.indexOf(path)
+  if (index < 0) return false
+  return index !== chain.length - 1 || chain.lastIndexOf(path) !== index
+}
+
+// 调用afterEach钩子，导航失败时，第三个参数为导航失败
+function callAfterHooks (router: Router, to: Route, from: Route, failure?: any) {
+  router.afterHooks.forEach(hook => {
+    hook && hook(to, from, failure)
+  })
+}
+
 // 格式化base，保证base地址是以/开头，尾部无/
 function normalizeBase (base: ?string): string {
   if (!base) {
@@ -291,8 +542,8 @@ function extractGuards (
     // 为守卫绑定上下文
     if (guard) {
       return Array.isArray(guard)
-        ? guard.map(guard => bind(guard, instance, match, key))
-        : bind(guard, instance, match, key)
+        ? guard.map(guard => withGuardInfo(bind(guard, instance, match, key), 'component', name, match))
+        : withGuardInfo(bind(guard, instance, match, key), 'component', name, match)
     }
   })
   // 扁平化 + 逆序
@@ -320,11 +571,45 @@ function extractUpdateHooks (updated: Array<RouteRecord>): Array<?Function> {
 // 将守卫的上下文绑定到vue实例(路由组件)
 function bindGuard (guard: NavigationGuard, instance: ?_Vue): ?NavigationGuard {
   if (instance) {
-    return function /* 已经绑定过上下文的守卫函数*/boundRouteGuard () {
+    return keepArity(function /* 已经绑定过上下文的守卫函数*/boundRouteGuard () {
       return guard.apply(instance, arguments)
-    }
+    }, guard)
   }
 }
+// 包装后的守卫记录原守卫的参数个数，用于判断守卫是否使用next
+function keepArity (wrapper: Function, guard: Function): any {
+  wrapper._arity = typeof guard._arity === 'number' ? guard._arity : guard.length
+  return wrapper
+}
+// 包装守卫，记录守卫的类型、名称及所属的路由记录，用于超时失败及慢导航的提示
+function withGuardInfo (
+  guard: ?Function,
+  kind: 'global' | 'beforeEnter' | 'component',
+  name: string,
+  record?: RouteRecord
+): ?NavigationGuard {
+  if (!guard) return
+  const fn = guard
+  const wrapped: any = keepArity(function guardWithInfo () {
+    return fn.apply(this, arguments)
+  }, fn)
+  wrapped._guard = { kind, name, record }
+  return wrapped
+}
+// 守卫的超时时间，路由配置的guardTimeout优先，全局守卫使用目标路由的配置；0表示不限制
+function getGuardTimeout (router: Router, route: Route, guard: Object): number {
+  const record = guard.kind === 'global'
+    ? route.matched[route.matched.length - 1]
+    : guard.record
+  const timeout = record && record.guardTimeout != null
+    ? record.guardTimeout
+    : router.options.guardTimeout
+  return timeout || 0
+}
+// 守卫是否声明了next参数，未声明时守卫的返回值(或Promise的结果)即为守卫的结果
+function usesNext (guard: Function): boolean {
+  return (typeof guard._arity === 'number' ? guard._arity : guard.length) > 2
+}
 // 提取组件的beforeRouteEnter守卫
 function extractEnterGuards (
   activated: Array<RouteRecord>,
@@ -348,7 +633,7 @@ function bindEnterGuard (
   isValid: () => boolean
 ): NavigationGuard {
   // 对组件内的beforeRouteEnter进行了包装
-  return function routeEnterGuard (to, from, next) {
+  return keepArity(function routeEnterGuard (to, from, next) {
     // 调用组件内beforeRouteEnter守卫
     return guard(to, from, /* beforeRouteEnter next函数；cb为next中回调*/cb => {
       if (typeof cb === 'function') {
@@ -368,7 +653,7 @@ function bindEnterGuard (
       // 迭代器下步
       next(cb)
     })
-  }
+  }, guard)
 }
 // 轮询调用cb
 function poll (
@@ -1,23 +1,129 @@
+// 导航失败的类型，可以按位组合后传给isNavigationFailure，如aborted | cancelled
+export const NavigationFailureType = {
+  redirected: 2, // 守卫中重定向到其它地址
+  aborted: 4, // 守卫中取消导航(next(false))
+  cancelled: 8, // 导航完成前开始了新的导航
+  duplicated: 16, // 导航到当前地址
+  timeout: 32 // 守卫超过guardTimeout仍未给出结果
+}
+
+// 是否为导航失败，传入type时还需要是对应的类型
+// 导航失败不是程序错误，不会触发onError回调
+export function isNavigationFailure (err, type) {
+  return !!err && err._isRouter === true && (type == null || (err.type & type) > 0)
+}
+
+// 初始化导航失败的公共属性
+function initFailure (failure, from, to, type) {
+  failure._isRouter = true
+  failure.from = from // 导航的起始Route
+  failure.to = to // 导航的目标Route
+  failure.type = type
+  // add a stack property so services like Sentry can correctly display it
+  Object.defineProperty(failure, 'stack', {
+    value: new Error().stack,
+    writable: true,
+    configurable: true
+  })
+  // we could also have used
+  // Error.captureStackTrace(this, this.constructor)
+  // but it only exists on node and chrome
+}
+
 // 重复导航错误
 export class NavigationDuplicated extends Error {
-  constructor (normalizedLocation) {
+  constructor (from, to) {
     super()
     this.name = this._name = 'NavigationDuplicated'
     // passing the message to super() doesn't seem to work in the transpiled version
     this.message = `Navigating to current location ("${
-      normalizedLocation.fullPath
+      to.fullPath
     }") is not allowed`
-    // add a stack property so services like Sentry can correctly display it
+    initFailure(this, from, to, NavigationFailureType.duplicated)
+  }
+}
+
+// support IE9
+NavigationDuplicated._name = 'NavigationDuplicated'
+
+// 守卫中取消导航(next(false)或返回false)
+export class NavigationAborted extends Error {
+  constructor (from, to) {
+    super()
+    this.name = this._name = 'NavigationAborted'
+    this.message = `Navigation aborted from "${from.fullPath}" to "${to.fullPath}" via a navigation guard.`
+    initFailure(this, from, to, NavigationFailureType.aborted)
+  }
+}
+
+NavigationAborted._name = 'NavigationAborted'
+
+// 导航完成前开始了新的导航，当前导航被取消
+export class NavigationCancelled extends Error {
+  constructor (from, to) {
+    super()
+    this.name = this._name = 'NavigationCancelled'
+    this.message = `Navigation cancelled from "${from.fullPath}" to "${to.fullPath}" with a new navigation.`
+    initFailure(this, from, to, NavigationFailureType.cancelled)
+  }
+}
+
+NavigationCancelled._name = 'NavigationCancelled'
+
+// 守卫中重定向到其它地址，当前导航被取消，并开始新的导航
+export class NavigationRedirected extends Error {
+  constructor (from, to) {
+    super()
+    this.name = this._name = 'NavigationRedirected'
+    this.message = `Redirected when going from "${from.fullPath}" to "${to.fullPath}" via a navigation guard.`
+    initFailure(this, from, to, NavigationFailureType.redirected)
+  }
+}
+
+NavigationRedirected._name = 'NavigationRedirected'
+
+// 守卫超时，导航被取消
+export class NavigationTimeout extends Error {
+  constructor (from, to, guard, timeout) {
+    super()
+    this.name = this._name = 'NavigationTimeout'
+    this.message = `Navigation from "${from.fullPath}" to "${to.fullPath}" timed out after ${timeout}ms waiting for ${describeGuard(guard)}.`
+    this.guard = guard // 超时的守卫，{ kind, name, record }
+    this.timeout = timeout
+    initFailure(this, from, to, NavigationFailureType.timeout)
+  }
+}
+
+NavigationTimeout._name = 'NavigationTimeout'
+
+// 描述守卫，如：the beforeEnter guard of route "/users/:id"
+export function describeGuard (guard) {
+  const path = guard.record && (guard.record.path || '/')
+  if (guard.kind === 'global') {
+    return `the global ${guard.name} guard`
+  }
+  if (guard.kind === 'beforeEnter') {
+    return `the beforeEnter guard of route "${path}"`
+  }
+  return `the ${guard.name} guard of the component of route "${path}"`
+}
+
+// 重定向死循环(或重定向次数过多)错误
+export class NavigationRedirectLoop extends Error {
+  constructor (chain, maxRedirects) {
+    super()
+    this.name = this._name = 'NavigationRedirectLoop'
+    const last = chain[chain.length - 1]
+    this.message = (chain.indexOf(last) < chain.length - 1
+      ? `Redirect loop detected: `
+      : `Too many redirects (more than ${maxRedirects}): `) + chain.join(' -> ')
+    this.chain = chain // 重定向经过的所有路径
     Object.defineProperty(this, 'stack', {
       value: new Error().stack,
       writable: true,
       configurable: true
     })
-    // we could also have used
-    // Error.captureStackTrace(this, this.constructor)
-    // but it only exists on node and chrome
   }
 }
 
-// support IE9
-NavigationDuplicated._name = 'NavigationDuplicated'
+NavigationRedirectLoop._name = 'NavigationRedirectLoop'
@@ -3,6 +3,7 @@
 import type Router from '../index'
 import { History } from './base'
 import { cleanPath } from '../util/path'
+import { decodePath } from '../util/encoding'
 import { getLocation } from './html5'
 import { setupScroll, handleScroll } from '../util/scroll'
 import { pushState, replaceState, supportsPushState } from '../util/push-state'
@@ -142,10 +143,10 @@ export function getHash (): string {
   if (searchIndex < 0) {
     const hashIndex = href.indexOf('#')
     if (hashIndex > -1) {
-      href = decodeURI(href.slice(0, hashIndex)) + href.slice(hashIndex)
-    } else href = decodeURI(href)
+      href = decodePath(href.slice(0, hashIndex)) + href.slice(hashIndex)
+    } else href = decodePath(href)
   } else {
-    href = decodeURI(href.slice(0, searchIndex)) + href.slice(searchIndex)
+    href = decodePath(href.slice(0, searchIndex)) + href.slice(searchIndex)
   }
 
   return href
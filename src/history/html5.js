@@ -3,6 +3,7 @@
 import type Router from '../index'
 import { History } from './base'
 import { cleanPath } from '../util/path'
+import { decodePath } from '../util/encoding'
 import { START } from '../util/route'
 import { setupScroll, handleScroll } from '../util/scroll'
 import { pushState, replaceState, supportsPushState } from '../util/push-state'
@@ -86,7 +87,7 @@ export class HTML5History extends History {
 // 假如base为/zh/
 // 则返回api/#routes
 export function getLocation (base: string): string {
-  let path = decodeURI(window.location.pathname)
+  let path = decodePath(window.location.pathname)
   if (base && path.indexOf(base) === 0) {
     path = path.slice(base.length)
   }
@@ -1,23 +1,37 @@
 /* @flow */
 
 import { install } from './install' // 导入安装方法
-import { START } from './util/route'
-import { assert } from './util/warn'
+import { START, createRoute } from './util/route'
+import { assert, warn, isExtendedError } from './util/warn'
 import { inBrowser } from './util/dom'
-import { cleanPath } from './util/path'
+import { cleanPath, canonicalizeURL } from './util/path'
+import { extend } from './util/misc'
+import { getEncoding, encodeFullPath } from './util/encoding'
 import { createMatcher } from './create-matcher'
+import { validateRoutes, RouteConfigError } from './validate-routes'
+import { enumeratePaths, createSitemap } from './sitemap'
 import { normalizeLocation } from './util/location'
 import { supportsPushState } from './util/push-state'
+import { navigationEvents } from './util/events'
+import { MissingParamError, InvalidParamError } from './util/params'
 
 import { HashHistory } from './history/hash'
 import { HTML5History } from './history/html5'
 import { AbstractHistory } from './history/abstract'
+import { isNavigationFailure, NavigationFailureType, NavigationRedirectLoop } from './history/errors'
 
-import type { Matcher } from './create-matcher'
+import type { Matcher, MatchExplanation } from './create-matcher'
 
 export default class VueRouter {
   static install: () => void
   static version: string
+  static validateRoutes: typeof validateRoutes
+  static enumeratePaths: typeof enumeratePaths
+  static createSitemap: typeof createSitemap
+  static isNavigationFailure: typeof isNavigationFailure
+  static NavigationFailureType: typeof NavigationFailureType
+  static MissingParamError: typeof MissingParamError
+  static InvalidParamError: typeof InvalidParamError
 
   app: any
   apps: Array<any>
@@ -28,9 +42,12 @@ export default class VueRouter {
   history: HashHistory | HTML5History | AbstractHistory
   matcher: Matcher
   fallback: boolean
+  locale: ?string // 当前语言，命名路由使用对应语言的path
   beforeHooks: Array<?NavigationGuard> // beforeEach hooks
   resolveHooks: Array<?NavigationGuard> // beforeResolve hooks
   afterHooks: Array<?AfterNavigationHook> // afterEach hooks
+  slowNavigationHooks: Array<?Function> // onSlowNavigation hooks
+  listeners: Dictionary<Array<?Function>> // router.on注册的导航事件监听函数
 
   constructor(options: RouterOptions = {}) {
     this.app = null
@@ -39,6 +56,15 @@ export default class VueRouter {
     this.beforeHooks = []
     this.resolveHooks = []
     this.afterHooks = []
+    this.slowNavigationHooks = []
+    // $flow-disable-line
+    this.listeners = Object.create(null)
+    this.locale = options.locale
+    // 严格模式下，路由配置存在问题时直接抛出错误
+    if (options.strictRoutes) {
+      const problems = validateRoutes(options.routes || [])
+      if (problems.length) throw new RouteConfigError(problems)
+    }
     this.matcher = createMatcher(options.routes || [], this) // 创建路由matcher对象，传入routes路由配置列表及VueRouter实例
 
     let mode = options.mode || 'hash'
@@ -71,7 +97,7 @@ export default class VueRouter {
     }
   }
 
-  // 获取匹配的路由对象
+  // 获取匹配的路由对象，重定向形成死循环时抛出NavigationRedirectLoop
   match(raw: RawLocation, current?: Route, redirectedFrom?: Location): Route {
     return this.matcher.match(raw, current, redirectedFrom)
   }
@@ -156,6 +182,17 @@ export default class VueRouter {
   afterEach(fn: Function): Function {
     return registerHook(this.afterHooks, fn)
   }
+  // 注册慢导航钩子，守卫执行时间超过slowNavigationThreshold时调用
+  onSlowNavigation (fn: Function): Function {
+    return registerHook(this.slowNavigationHooks, fn)
+  }
+  // 监听导航事件，返回取消监听的函数
+  on (event: string, fn: Function): Function {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(navigationEvents.indexOf(event) > -1, `Unknown navigation event "${event}". Available events: ${navigationEvents.join(', ')}.`)
+    }
+    return registerHook(this.listeners[event] || (this.listeners[event] = []), fn)
+  }
   // 注册history的ready回调
   onReady(cb: Function, errorCb?: Function) {
     this.history.onReady(cb, errorCb)
@@ -198,6 +235,10 @@ export default class VueRouter {
   forward() {
     this.go(1)
   }
+  // 取消正在进行的导航，导航以NavigationCancelled失败，并中止传给守卫的signal
+  cancelPending () {
+    this.history.cancelPending()
+  }
   // 返回目标位置或是当前路由匹配的组件数组 (是数组的定义/构造类，不是实例)。通常在服务端渲染的数据预加载时使用
   getMatchedComponents(to?: RawLocation | Route): Array<any> {
     const route: any = to
@@ -228,15 +269,28 @@ export default class VueRouter {
     href: string,
     // for backwards compat
     normalizedTo: Location,
-    resolved: Route
+    resolved: Route,
+    pendingRedirect?: $PropertyType<Route, '_pendingRedirect'>
   } {
     current = current || this.history.current
     const location = normalizeLocation(to, current, append, this)
-    const route = this.match(location, current) // 获取匹配的route
+    // 开发环境下开启strictParams时，参数缺失或不合法会抛出错误，避免生成错误的链接
+    let route
+    try {
+      route = process.env.NODE_ENV !== 'production' && this.options.strictParams
+        ? this.matcher.matchStrict(location, current)
+        : this.match(location, current) // 获取匹配的route
+    } catch (e) {
+      // 重定向死循环时返回未匹配的Route，避免router-link渲染时抛出错误，跳转时再由transitionTo取消
+      if (!isExtendedError(NavigationRedirectLoop, e)) throw e
+      warn(false, e.message)
+      route = createRoute(null, location, null, this)
+    }
     const fullPath = route.redirectedFrom || route.fullPath
     const base = this.history.base
-    const href = createHref(base, fullPath, this.mode)
-    return {
+    // 使用encodePath编码href中的path
+    const href = createHref(base, encodeFullPath(fullPath, getEncoding(this).encodePath), this.mode)
+    const resolved = {
       location,
       route,
       href,
@@ -244,6 +298,47 @@ export default class VueRouter {
       normalizedTo: location,
       resolved: route
     }
+    // 异步重定向尚未完成时，route为重定向之前的Route，最终的Route需要通过pendingRedirect获取
+    return route._pendingRedirect
+      ? extend(resolved, { pendingRedirect: route._pendingRedirect })
+      : resolved
+  }
+  // 按照canonicalization选项生成规范的url，服务端渲染时可以与请求的url比较，不一致时返回301
+  canonicalize (url: string): string {
+    return canonicalizeURL(url, this.options.canonicalization)
+  }
+  // 生成命名路由的path，参数缺失或不合法时抛出MissingParamError、InvalidParamError
+  buildPath (
+    name: string,
+    params?: Dictionary<any>,
+    query?: Dictionary<any>,
+    hash?: string
+  ): string {
+    // 不沿用当前路由的参数，生成的path只取决于传入的参数
+    // 只使用命名路由自身的path，不进行重定向
+    return this.matcher.buildRoute({
+      name,
+      params: extend({}, params),
+      query: extend({}, query),
+      hash: hash && hash.charAt(0) !== '#' ? `#${hash}` : hash || ''
+    }).fullPath
+  }
+  // buildPath的不抛出错误的版本，返回{ path, error }
+  tryBuildPath (
+    name: string,
+    params?: Dictionary<any>,
+    query?: Dictionary<any>,
+    hash?: string
+  ): { path: string, error: null } | { path: null, error: Error } {
+    try {
+      return { path: this.buildPath(name, params, query, hash), error: null }
+    } catch (error) {
+      return { path: null, error }
+    }
+  }
+  // 解析目标位置，并返回匹配过程(测试过的路由记录、重定向及别名的跳转)，用于调试
+  explain (to: RawLocation, current?: Route): MatchExplanation {
+    return this.matcher.explain(to, current || this.history.current)
   }
   // 动态添加更多的路由规则
   addRoutes(routes: Array<RouteConfig>) {
@@ -252,6 +347,31 @@ export default class VueRouter {
       this.history.transitionTo(this.history.getCurrentLocation())
     }
   }
+  // 动态添加一条路由规则，传入父路由name时，添加为其子路由
+  addRoute (parentOrRoute: string | RouteConfig, route?: RouteConfig) {
+    this.matcher.addRoute(parentOrRoute, route)
+    if (this.history.current !== START) {
+      this.history.transitionTo(this.history.getCurrentLocation())
+    }
+  }
+  // 通过name删除路由规则(包括其子路由、别名)
+  removeRoute (name: string) {
+    this.matcher.removeRoute(name)
+    // 当前路由的匹配记录被删除后，需要重新导航
+    const current = this.history.current
+    const record = current.matched[current.matched.length - 1]
+    if (record && this.matcher.getRoutes().indexOf(record) < 0) {
+      this.history.transitionTo(this.history.getCurrentLocation())
+    }
+  }
+  // 是否存在对应name的路由
+  hasRoute (name: string): boolean {
+    return this.matcher.hasRoute(name)
+  }
+  // 获取所有路由记录
+  getRoutes (): Array<RouteRecord> {
+    return this.matcher.getRoutes()
+  }
 }
 
 // 注册守卫，并返回卸载函数
@@ -270,6 +390,13 @@ function createHref(base: string, fullPath: string, mode) {
 
 VueRouter.install = install // 挂载安装方法，Vue.use时，自动调用install方法
 VueRouter.version = '__VERSION__'
+VueRouter.validateRoutes = validateRoutes // 校验路由配置，可以在CI中使用
+VueRouter.enumeratePaths = enumeratePaths // 列出所有具体path，用于预渲染
+VueRouter.createSitemap = createSitemap // 生成sitemap.xml
+VueRouter.isNavigationFailure = isNavigationFailure // 判断是否为导航失败(及其类型)
+VueRouter.NavigationFailureType = NavigationFailureType
+VueRouter.MissingParamError = MissingParamError // buildPath抛出的参数错误
+VueRouter.InvalidParamError = InvalidParamError
 // 浏览器环境，自动安装VueRouter
 if (inBrowser && window.Vue) {
   window.Vue.use(VueRouter)
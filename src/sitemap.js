@@ -0,0 +1,135 @@
+/* @flow */
+
+import Regexp from 'path-to-regexp'
+import { warn } from './util/warn'
+import { fillParams } from './util/params'
+import { createRouteMap } from './create-route-map'
+
+type RouteMap = {
+  pathList: Array<string>,
+  pathMap: Dictionary<RouteRecord>
+}
+
+type PathEntry = {
+  path: string,
+  record: RouteRecord,
+  params: Dictionary<any>
+}
+
+export type SitemapOptions = {
+  baseUrl?: string // url的前缀，如https://example.com
+}
+
+// 列出路由表中所有可以访问的具体path，可以用于预渲染
+export function enumeratePaths (
+  routes: Array<RouteConfig> | RouteMap
+): Promise<Array<string>> {
+  return enumerateEntries(routes).then(entries => entries.map(entry => entry.path))
+}
+
+// 根据路由表生成sitemap.xml，lastmod、priority从路由的meta中读取
+export function createSitemap (
+  routes: Array<RouteConfig> | RouteMap,
+  options?: SitemapOptions = {}
+): Promise<string> {
+  const baseUrl = (options.baseUrl || '').replace(/\/$/, '')
+  return enumerateEntries(routes).then(entries => {
+    const urls = entries.map(({ path, record, params }) => {
+      const lastmod = getMetaValue(record, 'lastmod', params)
+      const priority = getMetaValue(record, 'priority', params)
+      let url = `  <url>\n    <loc>${escapeXml(baseUrl + path)}</loc>\n`
+      if (lastmod != null) {
+        const date = lastmod instanceof Date ? lastmod.toISOString() : String(lastmod)
+        url += `    <lastmod>${escapeXml(date)}</lastmod>\n`
+      }
+      if (priority != null) {
+        url += `    <priority>${escapeXml(String(priority))}</priority>\n`
+      }
+      return `${url}  </url>\n`
+    })
+    return (
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+      urls.join('') +
+      '</urlset>\n'
+    )
+  })
+}
+
+// 遍历pathList，跳过重定向、通配符和别名路由，动态路由使用enumerateParams展开
+function enumerateEntries (
+  routes: Array<RouteConfig> | RouteMap
+): Promise<Array<PathEntry>> {
+  const { pathList, pathMap } = Array.isArray(routes)
+    ? createRouteMap(routes)
+    : routes
+  const seen = Object.create(null)
+  return Promise.all(pathList.map(path => {
+    const record = pathMap[path]
+    if (record.redirect || record.matchAs != null || isWildcard(record)) return []
+    // 静态路由，直接使用path
+    if (!record.regex.keys.length) {
+      return [{ path: trimTrailingSlash(path || '/'), record, params: {}}]
+    }
+    // 动态路由，使用自身或最近的父路由的enumerateParams提供参数
+    const enumerate = getEnumerateParams(record)
+    if (!enumerate) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn(false, `Route with path "${path}" is dynamic and has no "enumerateParams", it will be skipped.`)
+      }
+      return []
+    }
+    return Promise.resolve(enumerate()).then(list => list.map(params => ({
+      path: trimTrailingSlash(fillParams(path, params, `enumerated path "${path}"`, record.paramTypes)),
+      record,
+      params
+    })))
+  })).then(lists => {
+    const entries = []
+    lists.forEach(list => {
+      list.forEach(entry => {
+        // 缺少参数时fillParams返回空字符串；相同的path只保留一次
+        if (!entry.path || seen[entry.path]) return
+        seen[entry.path] = true
+        entries.push(entry)
+      })
+    })
+    return entries
+  })
+}
+
+// 去除尾部的斜线，默认子路由(如/users/)与父路由是同一个url
+function trimTrailingSlash (path: string): string {
+  return path.replace(/(.)\/$/, '$1')
+}
+
+function isWildcard (record: RouteRecord): boolean {
+  return record.path === '*' || Regexp.parse(record.path).some(
+    token => typeof token !== 'string' && token.asterisk
+  )
+}
+
+function getEnumerateParams (record: ?RouteRecord): ?Function {
+  while (record) {
+    if (record.enumerateParams) return record.enumerateParams
+    record = record.parent
+  }
+}
+
+// 读取自身或最近的父路由meta中的值，值可以是函数，接收展开后的params
+function getMetaValue (record: ?RouteRecord, key: string, params: Dictionary<any>): any {
+  while (record) {
+    const value = record.meta[key]
+    if (value != null) return typeof value === 'function' ? value(params) : value
+    record = record.parent
+  }
+}
+
+function escapeXml (str: string): string {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
@@ -0,0 +1,37 @@
+/* @flow */
+/* global AbortController */
+
+export type NavigationAbortController = {
+  signal: any, // AbortSignal
+  abort: (reason?: any) => void
+}
+
+// 创建导航的中止控制器，不支持AbortController的环境使用简单的实现
+export function createAbortController (): NavigationAbortController {
+  // $flow-disable-line
+  if (typeof AbortController !== 'undefined') return new AbortController()
+  const listeners = []
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    onabort: null,
+    addEventListener (type: string, listener: Function) {
+      if (type === 'abort' && listeners.indexOf(listener) < 0) listeners.push(listener)
+    },
+    removeEventListener (type: string, listener: Function) {
+      const i = listeners.indexOf(listener)
+      if (type === 'abort' && i > -1) listeners.splice(i, 1)
+    }
+  }
+  return {
+    signal,
+    abort (reason?: any) {
+      if (signal.aborted) return
+      signal.aborted = true
+      signal.reason = reason
+      const event = { type: 'abort', target: signal }
+      if (signal.onabort) signal.onabort(event)
+      listeners.slice().forEach(listener => listener(event))
+    }
+  }
+}
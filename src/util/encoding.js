@@ -0,0 +1,64 @@
+/* @flow */
+
+import { warn } from './warn'
+
+export type Encoding = {
+  encodeParam: (value: string) => string, // 生成path时编码参数值
+  decodeParam: (value: string) => string, // 匹配path时解码参数值
+  encodePath: (path: string) => string // 生成href时编码path
+}
+
+const encodeReserveRE = /[\/?#]/g
+const encodeReserveReplacer = c => '%' + c.charCodeAt(0).toString(16).toUpperCase()
+const percentEscapeRE = /%25([0-9a-fA-F]{2})/g
+
+// 默认的参数编码，与path-to-regexp的pretty模式相同：只编码url中不能出现的字符以及/?#
+export function encodeParam (value: string): string {
+  return encodeURI(value).replace(encodeReserveRE, encodeReserveReplacer)
+}
+
+// 默认的参数解码，值不是合法的编码时(如100%)保持原样
+export function decodeParam (value: string): string {
+  try {
+    return decodeURIComponent(value)
+  } catch (err) {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(false, `Error decoding "${value}". Leaving it intact.`)
+    }
+  }
+  return value
+}
+
+// 默认的path编码，编码url中不能出现的字符，已编码的字符(%XX)不会重复编码
+export function encodePath (path: string): string {
+  return encodeURI(path).replace(percentEscapeRE, '%$1')
+}
+
+// 解码从url中读取的path，保留%25及/?#等保留字符的编码，由decodeParam对参数值解码，避免重复解码
+export function decodePath (path: string): string {
+  return path.split(/%25/i).map(part => {
+    try {
+      return decodeURI(part)
+    } catch (err) {
+      return part
+    }
+  }).join('%25')
+}
+
+// 获取路由实例配置的编码方式，未配置的使用默认值
+export function getEncoding (router: any): Encoding {
+  const options = (router && router.options) || {}
+  return {
+    encodeParam: options.encodeParam || encodeParam,
+    decodeParam: options.decodeParam || decodeParam,
+    encodePath: options.encodePath || encodePath
+  }
+}
+
+// 编码fullPath中的path部分，query已经由stringifyQuery编码
+export function encodeFullPath (fullPath: string, encode: (path: string) => string): string {
+  const index = fullPath.search(/[?#]/)
+  return index < 0
+    ? encode(fullPath)
+    : encode(fullPath.slice(0, index)) + fullPath.slice(index)
+}
@@ -0,0 +1,34 @@
+/* @flow */
+
+import type Router from '../index'
+import { warn } from './warn'
+import { now } from './state-key'
+
+// router.on支持的导航事件
+export const navigationEvents = [
+  'navigationStart', // 开始导航
+  'guardStart', // 开始执行守卫
+  'guardEnd', // 守卫给出结果(或导航被取消、超时)
+  'componentsResolved', // 异步组件解析完成
+  'navigationEnd', // 导航完成
+  'navigationCancel', // 导航失败(取消、重定向、重复导航等)
+  'navigationError' // 导航出错
+]
+
+// 触发导航事件，time为触发的时间，传入startTime时duration为距离startTime的时长
+// 监听函数抛出的错误不会影响导航
+export function emit (router: Router, event: string, payload: Object, startTime?: number) {
+  const listeners = router.listeners[event]
+  if (!listeners || !listeners.length) return
+  payload.time = now()
+  if (startTime != null) payload.duration = payload.time - startTime
+  listeners.slice().forEach(listener => {
+    if (!listener) return
+    try {
+      listener(payload)
+    } catch (e) {
+      warn(false, `uncaught error in the "${event}" listener:`)
+      console.error(e)
+    }
+  })
+}
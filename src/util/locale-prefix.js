@@ -0,0 +1,46 @@
+/* @flow */
+
+// 从path中分离出语言前缀，如/de/about -> { locale: 'de', path: '/about' }
+export function splitLocalePrefix (
+  path: string,
+  options: LocalePrefixOptions
+): { locale: ?string, path: string } {
+  const segment = path.split('/')[1]
+  if (segment && options.locales.indexOf(segment) > -1) {
+    return { locale: segment, path: path.slice(segment.length + 1) || '/' }
+  }
+  return { locale: null, path }
+}
+
+// 为path添加语言前缀
+export function addLocalePrefix (path: string, locale: string): string {
+  return `/${locale}${path === '/' ? '' : path}`
+}
+
+// 确定使用的语言：依次使用候选语言、默认语言、浏览器语言，最后使用第一种语言
+export function resolveLocale (
+  options: LocalePrefixOptions,
+  candidates: Array<?string>
+): string {
+  const { locales } = options
+  for (let i = 0; i < candidates.length; i++) {
+    const locale = candidates[i]
+    if (locale && locales.indexOf(locale) > -1) return locale
+  }
+  if (options.defaultLocale && locales.indexOf(options.defaultLocale) > -1) {
+    return options.defaultLocale
+  }
+  return detectLocale(locales) || locales[0]
+}
+
+// 通过navigator.language检测浏览器语言，如de-AT可以匹配de
+function detectLocale (locales: Array<string>): ?string {
+  if (typeof navigator === 'undefined' || !navigator.language) return
+  const language = navigator.language.toLowerCase()
+  for (let i = 0; i < locales.length; i++) {
+    const locale = locales[i].toLowerCase()
+    if (language === locale || language.split('-')[0] === locale) {
+      return locales[i]
+    }
+  }
+}
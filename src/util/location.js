@@ -6,6 +6,7 @@ import { resolveQuery } from './query'
 import { fillParams } from './params'
 import { warn } from './warn'
 import { extend } from './misc'
+import { getEncoding } from './encoding'
 // 格式化location
 export function normalizeLocation (
   raw: RawLocation, // 原始location，一个string，或者是一个已经格式化后的location
@@ -29,8 +30,8 @@ export function normalizeLocation (
   }
 
   // relative params
-  // 处理{params:{id:1}}相对参数形式跳转
-  if (!next.path && next.params && current) {
+  // 处理{params:{id:1}}相对参数形式跳转，{locale:'de'}切换当前路由的语言也按照相对参数处理
+  if (!next.path && (next.params || next.locale) && current) {
     next = extend({}, next)
     next._normalized = true
     const params: any = extend(extend({}, current.params), next.params)
@@ -41,8 +42,8 @@ export function normalizeLocation (
       next.params = params
     } else if (current.matched.length) {
       // path形式，从匹配记录中提取出当前path并填充参数
-      const rawPath = current.matched[current.matched.length - 1].path
-      next.path = fillParams(rawPath, params, `path ${current.path}`)
+      const record = current.matched[current.matched.length - 1]
+      next.path = fillParams(record.path, params, `path ${current.path}`, record.paramTypes, null, getEncoding(router).encodeParam)
     } else if (process.env.NODE_ENV !== 'production') {
       warn(false, `relative params navigation requires a current route.`)
     }
@@ -67,10 +68,13 @@ export function normalizeLocation (
     hash = `#${hash}`
   }
 
-  return {
+  const normalized: Location = {
     _normalized: true, // 标识已经格式化过
     path,
     query,
     hash
   }
+  // 指定了语言时，保留语言
+  if (next.locale) normalized.locale = next.locale
+  return normalized
 }
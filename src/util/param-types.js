@@ -0,0 +1,158 @@
+/* @flow */
+
+import Regexp from 'path-to-regexp'
+import { warn } from './warn'
+import { extend } from './misc'
+
+export type ParamType = {
+  parse: (raw: string) => any, // 解析失败时返回undefined
+  stringify: (value: any) => string,
+  repeat?: boolean // 是否为可重复参数(如/:path+)，其值为数组，需要逐项转换
+}
+
+const intRE = /^-?\d+$/
+const midnightRE = /T00:00:00\.000Z$/
+
+// 内置参数类型
+const builtInTypes: Dictionary<ParamType> = {
+  int: {
+    parse: raw => intRE.test(raw) ? parseInt(raw, 10) : undefined,
+    stringify: String
+  },
+  number: {
+    parse: raw => raw.trim() && isFinite(Number(raw)) ? Number(raw) : undefined,
+    stringify: String
+  },
+  boolean: {
+    parse: raw => raw === 'true' ? true : raw === 'false' ? false : undefined,
+    stringify: String
+  },
+  date: {
+    parse: raw => {
+      const date = new Date(raw)
+      return isNaN(date.getTime()) ? undefined : date
+    },
+    stringify: stringifyValue
+  }
+}
+
+// 格式化路由配置中的params，支持内置类型名、正则、解析函数以及{ parse, stringify }对象
+export function normalizeParamTypes (
+  config: ?Dictionary<any>,
+  path: string
+): ?Dictionary<ParamType> {
+  if (!config) return
+  const types = {}
+  const repeatKeys = []
+  Regexp.parse(path).forEach(token => {
+    if (typeof token !== 'string' && token.repeat) repeatKeys.push(token.name)
+  })
+  for (const key in config) {
+    const type = config[key]
+    if (typeof type === 'string') {
+      if (builtInTypes[type]) {
+        types[key] = builtInTypes[type]
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn(false, `Unknown type "${type}" for param "${key}" in route with path: "${path}"`)
+      }
+    } else if (type instanceof RegExp) {
+      types[key] = {
+        parse: raw => type.test(raw) ? raw : undefined,
+        stringify: stringifyValue
+      }
+    } else if (typeof type === 'function') {
+      types[key] = { parse: type, stringify: stringifyValue }
+    } else if (type && typeof type.parse === 'function') {
+      types[key] = {
+        parse: type.parse,
+        stringify: type.stringify || stringifyValue
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(false, `Invalid type for param "${key}" in route with path: "${path}"`)
+    }
+    if (types[key] && repeatKeys.indexOf(key) > -1) {
+      types[key] = extend({ repeat: true }, types[key])
+    }
+  }
+  return types
+}
+
+// 按照参数类型转换params，有参数不合法时返回false
+export function parseParams (
+  params: ?Object,
+  types: ?Dictionary<ParamType>
+): boolean {
+  if (!params || !types) return true
+  const parsed = {}
+  for (const key in types) {
+    if (params[key] == null) continue
+    const type = types[key]
+    // 可重复参数为数组，逐项转换
+    const value = type.repeat && Array.isArray(params[key])
+      ? params[key].map(item => parseValue(item, type))
+      : parseValue(params[key], type)
+    if (
+      value === undefined ||
+      (Array.isArray(value) && value.indexOf(undefined) > -1)
+    ) {
+      return false
+    }
+    parsed[key] = value
+  }
+  // 全部合法后才修改params
+  for (const key in parsed) {
+    params[key] = parsed[key]
+  }
+  return true
+}
+
+// 将params序列化为字符串，用于生成url
+export function stringifyParams (
+  params: Object,
+  types: ?Dictionary<ParamType>
+): Object {
+  if (!types) return params
+  const res = {}
+  for (const key in params) {
+    const value = params[key]
+    const type = types[key]
+    res[key] = type && type.repeat && Array.isArray(value)
+      ? value.map(item => stringifyValueOfType(item, type))
+      : stringifyValueOfType(value, type)
+  }
+  return res
+}
+
+function stringifyValueOfType (value: any, type: ?ParamType): any {
+  return type && value != null && typeof value !== 'string'
+    ? type.stringify(value)
+    : value
+}
+
+function parseValue (value: any, type: ParamType): any {
+  const raw = typeof value === 'string' ? value : type.stringify(value)
+  let parsed
+  try {
+    parsed = type.parse(raw)
+  } catch (e) {
+    return
+  }
+  // null、NaN、Invalid Date都视为不合法
+  if (
+    parsed == null ||
+    (typeof parsed === 'number' && isNaN(parsed)) ||
+    (parsed instanceof Date && isNaN(parsed.getTime()))
+  ) {
+    return
+  }
+  return parsed
+}
+
+// 日期只有年月日时，序列化为YYYY-MM-DD
+function stringifyValue (value: any): string {
+  if (value instanceof Date) {
+    const iso = value.toISOString()
+    return midnightRE.test(iso) ? iso.slice(0, 10) : iso
+  }
+  return String(value)
+}
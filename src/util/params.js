@@ -1,30 +1,48 @@
 /* @flow */
 
-import { warn } from './warn'
+import { warn, isExtendedError } from './warn'
 import Regexp from 'path-to-regexp'
+import { stringifyParams, parseParams } from './param-types'
+import { extend } from './misc'
+import { encodeParam } from './encoding'
+import type { ParamType } from './param-types'
 
 // $flow-disable-line
 const regexpCompileCache: {
-  [key: string]: Function
+  [key: string]: PathFiller
 } = Object.create(null)
+
+type PathFiller = (params: Object, encode: (value: string) => string) => string
+
 // 填充动态路由参数
 export function fillParams (
   path: string,
   params: ?Object,
-  routeMsg: string
+  routeMsg: string,
+  paramTypes?: ?Dictionary<ParamType>, // 参数类型，用于将参数序列化为字符串
+  strictRoute?: ?string, // 严格模式下，参数缺失或不合法时抛出错误，值为错误信息中的路由(name或path)
+  encode?: ?(value: string) => string // 参数值的编码方式
 ): string {
-  params = params || {}
+  const raw = params || {}
+  params = stringifyParams(raw, paramTypes)
   try {
     const filler =
       regexpCompileCache[path] ||
-      (regexpCompileCache[path] = Regexp.compile(path)) // compile主要用来逆解析，https://www.npmjs.com/package/path-to-regexp#compile-reverse-path-to-regexp
+      (regexpCompileCache[path] = compilePath(path)) // 逆解析，https://www.npmjs.com/package/path-to-regexp#compile-reverse-path-to-regexp
     // 修复https://github.com/vuejs/vue-router/issues/2505#issuecomment-442353151
     // Fix #2505 resolving asterisk routes { name: 'not-found', params: { pathMatch: '/not-found' }}
     // and fix #3106 so that you can work with location descriptor object having params.pathMatch equal to empty string
     if (typeof params.pathMatch === 'string') params[0] = params.pathMatch
+    // 严格模式下，参数需要符合参数类型
+    if (strictRoute != null) checkParamTypes(raw, paramTypes, strictRoute)
     // 返回逆解析后的路径
-    return filler(params, { pretty: true })
+    return filler(params, encode || encodeParam)
   } catch (e) {
+    if (strictRoute != null) {
+      throw isExtendedError(MissingParamError, e) || isExtendedError(InvalidParamError, e)
+        ? e
+        : createParamError(e, raw, strictRoute)
+    }
     if (process.env.NODE_ENV !== 'production') {
       // Fix #3072 no warn if `pathMatch` is string
       warn(typeof params.pathMatch === 'string', `missing param for ${routeMsg}: ${e.message}`)
@@ -35,3 +53,188 @@ export function fillParams (
     delete params[0]
   }
 }
+
+// 与path-to-regexp的compile相同，但参数值使用传入的encode编码，通配符参数保留其中的/
+function compilePath (path: string): PathFiller {
+  // 预先编译每个参数的正则，用于校验编码后的参数值
+  const parts = Regexp.parse(path).map(token => typeof token === 'string'
+    ? token
+    : { token, match: new RegExp(`^(?:${token.pattern})$`) })
+  return (params, encode) => {
+    let res = ''
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i]
+      if (typeof part === 'string') {
+        res += part
+        continue
+      }
+      const { token, match } = part
+      const value = params[token.name]
+      if (value == null) {
+        if (!token.optional) throw new TypeError(`Expected "${token.name}" to be defined`)
+        // Prepend partial segment prefixes.
+        if (token.partial) res += token.prefix
+        continue
+      }
+      if (Array.isArray(value)) {
+        if (!token.repeat) {
+          throw new TypeError(`Expected "${token.name}" to not repeat, but received \`${JSON.stringify(value)}\``)
+        }
+        if (!value.length) {
+          if (token.optional) continue
+          throw new TypeError(`Expected "${token.name}" to not be empty`)
+        }
+        for (let j = 0; j < value.length; j++) {
+          const segment = encode(String(value[j]))
+          if (!match.test(segment)) {
+            throw new TypeError(`Expected all "${token.name}" to match "${token.pattern}", but received \`${JSON.stringify(segment)}\``)
+          }
+          res += (j === 0 ? token.prefix : token.delimiter) + segment
+        }
+        continue
+      }
+      const segment = token.asterisk
+        ? String(value).split('/').map(encode).join('/')
+        : encode(String(value))
+      if (!match.test(segment)) {
+        throw new TypeError(`Expected "${token.name}" to match "${token.pattern}", but received "${segment}"`)
+      }
+      res += token.prefix + segment
+    }
+    return res
+  }
+}
+
+// 使用默认值填充params中缺失的参数
+export function fillDefaultParams (params: ?Object, defaults: ?Object) {
+  if (!params || !defaults) return
+  for (const key in defaults) {
+    if (params[key] == null) params[key] = cloneParam(defaults[key])
+  }
+}
+
+// 拷贝params，可重复参数的数组、Date类型的参数会被复制，避免不同的Route共享同一个值
+export function cloneParams (params: Object): Object {
+  const res = {}
+  for (const key in params) {
+    res[key] = cloneParam(params[key])
+  }
+  return res
+}
+
+function cloneParam (value: any): any {
+  if (Array.isArray(value)) return value.map(cloneParam)
+  if (value instanceof Date) return new Date(value.getTime())
+  return value
+}
+
+// 生成url时，从末尾开始省略与默认值相同的可选参数，避免省略中间的参数后与后面的参数错位
+export function omitDefaultParams (
+  params: ?Object,
+  defaults: ?Object,
+  keys: $PropertyType<RouteRegExp, 'keys'>,
+  paramTypes?: ?Dictionary<ParamType>
+): ?Object {
+  if (!params || !defaults) return params
+  const res = extend({}, params)
+  for (let i = keys.length - 1; i >= 0; i--) {
+    const key = keys[i]
+    if (!key.optional) break
+    const name = key.name
+    if (res[name] != null) {
+      if (!(name in defaults) || !isSameParam(res[name], defaults[name], paramTypes && paramTypes[name])) break
+      delete res[name]
+    }
+  }
+  return res
+}
+
+// 按照参数类型序列化后比较
+function isSameParam (value: any, defaultValue: any, type: ?ParamType): boolean {
+  const types = type ? { value: type } : null
+  return String(stringifyParams({ value }, types).value) ===
+    String(stringifyParams({ value: defaultValue }, types).value)
+}
+
+// 参数缺失错误，严格模式下生成url时抛出
+export class MissingParamError extends Error {
+  static _name: string
+  _name: string
+  route: string // 路由的name，未命名时为path
+  param: string
+
+  constructor (route: string, param: string) {
+    super()
+    this.name = this._name = 'MissingParamError'
+    this.message = `Missing required param "${param}" for route "${route}"`
+    this.route = route
+    this.param = param
+    // add a stack property so services like Sentry can correctly display it
+    Object.defineProperty(this, 'stack', {
+      value: new Error().stack,
+      writable: true,
+      configurable: true
+    })
+  }
+}
+
+// support IE9
+MissingParamError._name = 'MissingParamError'
+
+// 参数不合法错误(不符合参数的正则或类型)，严格模式下生成url时抛出
+export class InvalidParamError extends Error {
+  static _name: string
+  _name: string
+  route: string
+  param: string
+  value: any
+
+  constructor (route: string, param: string, value: any) {
+    super()
+    this.name = this._name = 'InvalidParamError'
+    this.message = `Invalid value ${stringifyForMessage(value)} for param "${param}" of route "${route}"`
+    this.route = route
+    this.param = param
+    this.value = value
+    Object.defineProperty(this, 'stack', {
+      value: new Error().stack,
+      writable: true,
+      configurable: true
+    })
+  }
+}
+
+InvalidParamError._name = 'InvalidParamError'
+
+// 逐个检查参数能否按照参数类型解析
+function checkParamTypes (
+  params: Object,
+  paramTypes: ?Dictionary<ParamType>,
+  route: string
+) {
+  if (!paramTypes) return
+  for (const key in paramTypes) {
+    if (params[key] != null && !parseParams({ [key]: params[key] }, { [key]: paramTypes[key] })) {
+      throw new InvalidParamError(route, key, params[key])
+    }
+  }
+}
+
+// 将path-to-regexp抛出的错误转换为对应的参数错误
+function createParamError (e: Error, params: Object, route: string): Error {
+  const m = /^Expected (?:all )?"([^"]+)" to (be defined|not be empty|.*)/.exec(e.message)
+  if (!m) return e
+  // 通配符参数的name为0，对应params.pathMatch
+  const param = m[1] === '0' ? 'pathMatch' : m[1]
+  return m[2] === 'be defined' || m[2] === 'not be empty'
+    ? new MissingParamError(route, param)
+    : new InvalidParamError(route, param, params[param])
+}
+
+function stringifyForMessage (value: any): string {
+  try {
+    return JSON.stringify(value) || String(value)
+  } catch (e) {
+    return String(value)
+  }
+}
@@ -76,3 +76,32 @@ export function parsePath (path: string): {
 export function cleanPath (path: string): string {
   return path.replace(/\/\//g, '/')
 }
+
+/**
+ * 按照canonicalization选项生成规范的path：合并连续的斜线、转换为小写、统一尾部斜线
+ */
+export function canonicalizePath (
+  path: string,
+  options: ?CanonicalizationOptions
+): string {
+  if (!options) return path
+  if (options.collapseSlashes !== false) path = path.replace(/\/{2,}/g, '/')
+  if (options.lowercase) path = path.toLowerCase()
+  if (options.trailingSlash === 'always' && path.charAt(path.length - 1) !== '/') {
+    path += '/'
+  } else if (options.trailingSlash === 'never' && path.length > 1) {
+    path = path.replace(/\/+$/, '') || '/'
+  }
+  return path
+}
+
+/**
+ * 生成规范的url，只处理path部分，query、hash保持不变
+ */
+export function canonicalizeURL (
+  url: string,
+  options: ?CanonicalizationOptions
+): string {
+  const { path, query, hash } = parsePath(url)
+  return canonicalizePath(path, options) + (query ? `?${query}` : '') + hash
+}
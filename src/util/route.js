@@ -2,6 +2,7 @@
 
 import type VueRouter from '../index'
 import { stringifyQuery } from './query'
+import { extend } from './misc'
 
 const trailingSlashRE = /\/?$/
 // 生成Route
@@ -17,16 +18,22 @@ export function createRoute (
   try {
     query = clone(query) // location.query为引用值，避免相互影响，进行深拷贝
   } catch (e) {}
+  const matched = record ? formatMatch(record) : [] // 获取所有匹配的路由记录
   // 生成Route
   const route: Route = {
     name: location.name || (record && record.name),
-    meta: (record && record.meta) || {},
+    meta: mergeMeta(matched, router), // 合并后的meta，各路由记录的meta仍可以通过matched访问
     path: location.path || '/',
     hash: location.hash || '',
     query,
     params: location.params || {},
     fullPath: getFullPath(location, stringifyQuery), // 完整path
-    matched: record ? formatMatch(record) : [] // 获取所有匹配的路由记录
+    matched
+  }
+  // 多语言路由或使用语言前缀时，记录匹配的语言
+  const locale = (record && record.locale) || location.locale
+  if (locale) {
+    route.locale = locale
   }
   // 如果是从其它路由对重定向过来的，则需要记录重定向之前的地址
   if (redirectedFrom) {
@@ -35,6 +42,22 @@ export function createRoute (
   // 防止篡改
   return Object.freeze(route)
 }
+// 从父路由到子路由依次合并meta，默认为浅合并，子路由的值覆盖父路由的值
+// mergeMeta为false时只使用最深的路由记录的meta，为函数时使用自定义的合并方式
+function mergeMeta (matched: Array<RouteRecord>, router?: VueRouter): Object {
+  if (!matched.length) return {}
+  const merge = router && router.options.mergeMeta
+  const last = matched[matched.length - 1]
+  if (merge === false || (typeof merge !== 'function' && matched.length === 1)) {
+    return last.meta || {}
+  }
+  return matched.reduce((meta, record) => {
+    const recordMeta = record.meta || {}
+    return typeof merge === 'function'
+      ? merge(meta, recordMeta)
+      : extend(extend({}, meta), recordMeta)
+  }, {})
+}
 // 深拷贝
 function clone (value) {
   if (Array.isArray(value)) {
@@ -109,6 +132,14 @@ function isObjectEqual (a = {}, b = {}): boolean {
   return aKeys.every(key => {
     const aVal = a[key]
     const bVal = b[key]
+    // 可重复参数为数组，需要逐项比较
+    if (Array.isArray(aVal) || Array.isArray(bVal)) {
+      return isArrayEqual(aVal, bVal)
+    }
+    // 日期等类型参数，比较序列化后的值
+    if (aVal instanceof Date || bVal instanceof Date) {
+      return String(aVal) === String(bVal)
+    }
     // check nested equality
     if (typeof aVal === 'object' && typeof bVal === 'object') {
       return isObjectEqual(aVal, bVal)
@@ -116,6 +147,12 @@ function isObjectEqual (a = {}, b = {}): boolean {
     return String(aVal) === String(bVal)
   })
 }
+function isArrayEqual (a: any, b: any): boolean {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+    return false
+  }
+  return a.every((val, i) => isObjectEqual({ val }, { val: b[i] }))
+}
 // 判断target的path是否包含current的path，如果包含，则在非精准匹配时当前link要激活
 export function isIncludedRoute (current: Route, target: Route): boolean {
   return (
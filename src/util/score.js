@@ -0,0 +1,96 @@
+/* @flow */
+
+import Regexp from 'path-to-regexp'
+
+// 每一段路径的得分，得分越高，匹配优先级越高
+// 静态段 > 自定义正则的参数 > 普通参数 > 可重复参数 > 可选参数 > 通配符
+const STATIC = 80
+const PARAM = 40
+const BONUS_CUSTOM_REGEX = 10 // 参数带自定义正则，如/:id(\\d+)
+const BONUS_STATIC_TEXT = 5 // 参数所在的段中还有静态文本，如/foo-:id
+const PENALTY_REPEATABLE = -20 // 可重复参数，如/:path+
+const PENALTY_OPTIONAL = -50 // 可选参数，如/:id?，得分为负数
+const WILDCARD = -60 // 通配符，如*或(.*)
+
+export type PathScore = {
+  score: Array<number>, // 每一段的得分
+  shape: string // 路径形状，参数名被忽略，形状相同的路径能匹配相同的url
+}
+
+// $flow-disable-line
+const scoreCache: {
+  [key: string]: PathScore
+} = Object.create(null)
+
+// 计算路径得分
+export function getPathScore (path: string): PathScore {
+  if (scoreCache[path]) return scoreCache[path]
+
+  // 按/将token分组，每组为一段路径，第一组为首个/之前的内容
+  let segment = []
+  const segments = [segment]
+  Regexp.parse(path).forEach(token => {
+    if (typeof token === 'string') {
+      token.split('/').forEach((part, i) => {
+        if (i > 0) segments.push((segment = []))
+        if (part) segment.push(part)
+      })
+    } else {
+      if (token.prefix === '/') {
+        segments.push((segment = []))
+      } else if (token.prefix) {
+        segment.push(token.prefix)
+      }
+      segment.push(token)
+    }
+  })
+  // 以/开头时，第一组为空
+  if (!segments[0].length) segments.shift()
+
+  return (scoreCache[path] = {
+    score: segments.map(getSegmentScore),
+    shape: segments.map(getSegmentShape).join('/')
+  })
+}
+
+// 比较两个路径得分，返回负数表示a优先级更高
+export function comparePathScore (a: Array<number>, b: Array<number>): number {
+  const length = Math.min(a.length, b.length)
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return b[i] - a[i]
+  }
+  if (a.length === b.length) return 0
+  // 较长路径多出来的段都是可选的，则较短的路径更精确
+  const longer = a.length > b.length ? a : b
+  const isOptional = longer.slice(length).every(score => score < 0)
+  return (a === longer) === isOptional ? 1 : -1
+}
+
+function getSegmentScore (parts: Array<any>): number {
+  const keys = parts.filter(part => typeof part !== 'string')
+  // 静态段(包括根路径/及尾部的/)
+  if (!keys.length) return STATIC
+  // 段中包含多个参数时，以最宽松的参数为准
+  const score = Math.min.apply(Math, keys.map(getKeyScore))
+  return score > WILDCARD && keys.length < parts.length
+    ? score + BONUS_STATIC_TEXT
+    : score
+}
+
+function getKeyScore (key: Object): number {
+  if (key.asterisk || key.pattern === '.*') return WILDCARD
+  let score = PARAM
+  if (key.pattern !== `[^\\${key.delimiter}]+?`) score += BONUS_CUSTOM_REGEX
+  if (key.repeat) score += PENALTY_REPEATABLE
+  if (key.optional) score += PENALTY_OPTIONAL
+  return score
+}
+
+function getSegmentShape (parts: Array<any>): string {
+  return parts
+    .map(part => typeof part === 'string'
+      ? part
+      : `:(${part.pattern})${part.optional ? '?' : ''}${part.repeat ? '+' : ''}`
+    )
+    .join('')
+}
@@ -6,6 +6,11 @@ const Time =
   inBrowser && window.performance && window.performance.now
     ? window.performance
     : Date
+// 当前时间(毫秒)，用于导航事件的计时
+export function now (): number {
+  return Time.now()
+}
+
 // 生成唯一key，用来在state中标识每个路由
 export function genStateKey (): string {
   return Time.now().toFixed(3)
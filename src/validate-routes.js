@@ -0,0 +1,232 @@
+/* @flow */
+
+import Regexp from 'path-to-regexp'
+import { resolvePath, parsePath } from './util/path'
+import { normalizePath, getLocalizedPath } from './create-route-map'
+
+// 路由配置对象支持的属性
+export const routeConfigKeys = [
+  'path',
+  'name',
+  'component',
+  'components',
+  'redirect',
+  'alias',
+  'children',
+  'beforeEnter',
+  'meta',
+  'props',
+  'caseSensitive',
+  'pathToRegexpOptions',
+  'params',
+  'enumerateParams',
+  'loadChildren',
+  'canMatch',
+  'paramDefaults',
+  'guardTimeout'
+]
+
+export type RouteProblem = {
+  code: string, // 问题类型，如'unknown-key'
+  path: ?string, // 路由的完整path
+  name: ?string,
+  message: string
+}
+
+type RouteEntry = {
+  route: RouteConfig,
+  path: string, // 格式化后的完整path
+  parentPath: ?string, // 父路由的完整path
+  locale: ?string, // 多语言路由的语言
+  absoluteChild: boolean // 是否为以/开头的子路由
+}
+
+// 路由配置校验失败的错误，strictRoutes为true时抛出
+export class RouteConfigError extends Error {
+  static _name: string
+  _name: string
+  problems: Array<RouteProblem>
+
+  constructor (problems: Array<RouteProblem>) {
+    super()
+    this.name = this._name = 'RouteConfigError'
+    this.message = `Invalid route configuration:\n${problems
+      .map(problem => `- ${problem.message}`)
+      .join('\n')}`
+    this.problems = problems
+    // add a stack property so services like Sentry can correctly display it
+    Object.defineProperty(this, 'stack', {
+      value: new Error().stack,
+      writable: true,
+      configurable: true
+    })
+  }
+}
+
+// support IE9
+RouteConfigError._name = 'RouteConfigError'
+
+// 校验整个路由配置列表，返回发现的所有问题，没有问题时返回空数组
+export function validateRoutes (routes: Array<RouteConfig>): Array<RouteProblem> {
+  const problems: Array<RouteProblem> = []
+  const entries: Array<RouteEntry> = []
+
+  function report (code: string, route: RouteConfig, path: ?string, message: string) {
+    problems.push({ code, path, name: route.name, message })
+  }
+
+  // 第一遍：遍历路由树，校验每个路由配置对象自身的属性
+  const checked: Array<RouteConfig> = []
+  function check (route: RouteConfig, locale: ?string) {
+    // 多语言路由的子路由，会按照每种语言遍历，只需校验一次
+    if (checked.indexOf(route) > -1) return
+    checked.push(route)
+    const path = route.path != null ? getLocalizedPath(route.path, locale) : null
+    const label = path != null ? path : route.name
+    Object.keys(route).forEach(key => {
+      if (routeConfigKeys.indexOf(key) < 0) {
+        report('unknown-key', route, path,
+          `Unknown key "${key}" in route config: ${String(label)}`)
+      }
+    })
+    const components = route.components || { default: route.component }
+    if (Object.keys(components).some(key => typeof components[key] === 'string')) {
+      report('string-component', route, path,
+        `route config "component" for path: ${String(label)} cannot be a string id. Use an actual component instead.`)
+    }
+    if (!isValidProps(route.props, !!route.components)) {
+      report('invalid-props', route, path,
+        `route config "props" for path: ${String(label)} must be a boolean, an object or a function.`)
+    }
+    // 没有path但有子路由时为路由分组
+    if (path == null && !route.children) {
+      report('missing-path', route, null,
+        `"path" is required in a route configuration${route.name ? ` (name: "${route.name}")` : ''}.`)
+    }
+  }
+  function walk (routes: Array<RouteConfig>, parentPath: ?string, parentLocale: ?string) {
+    routes.forEach(route => {
+      check(route, parentLocale)
+      const rawPath = route.path
+      // 路由分组不占用url片段，子路由相对于父路由解析
+      if (rawPath == null) {
+        if (route.children) walk(route.children, parentPath == null ? '' : parentPath, parentLocale)
+        return
+      }
+      // 多语言路由，分别校验每种语言的path，子路由与父路由的语言一致
+      const locales = typeof rawPath === 'object' && !parentLocale
+        ? Object.keys(rawPath)
+        : [parentLocale]
+      locales.forEach(locale => {
+        const localizedPath = getLocalizedPath(rawPath, locale)
+        const strict = route.pathToRegexpOptions && route.pathToRegexpOptions.strict
+        const path = normalizePath(localizedPath, parentPath == null ? undefined : { path: parentPath }, strict)
+        entries.push({
+          route,
+          path,
+          parentPath,
+          locale,
+          absoluteChild: !!parentPath && localizedPath.charAt(0) === '/'
+        })
+        if (route.children) walk(route.children, path, locale)
+      })
+    })
+  }
+  walk(routes)
+
+  // 第二遍：校验路由之间的关系
+  const pathMap = Object.create(null)
+  const nameMap = Object.create(null)
+  const nameLocales = Object.create(null) // 多语言命名路由已出现的语言
+  entries.forEach(entry => {
+    const { route, path } = entry
+    // path相同但配置了canMatch时，会依次尝试匹配，不会被覆盖
+    if (pathMap[path] && !pathMap[path].route.canMatch && !route.canMatch) {
+      report('shadowed-path', route, path,
+        `Route with path "${path}" is shadowed by another route with the same path` +
+          (entry.absoluteChild ? ' (absolute paths of nested routes are not relative to their parent).' : '.'))
+    } else if (!pathMap[path]) {
+      pathMap[path] = entry
+    }
+    const { name } = route
+    if (name) {
+      const locales = nameLocales[name]
+      // 同一个多语言路由的不同语言，name相同
+      if (entry.locale && locales && locales.indexOf(entry.locale) < 0) {
+        locales.push(entry.locale)
+      } else if (nameMap[name]) {
+        report('duplicate-name', route, path,
+          `Duplicate named routes definition: { name: "${name}", path: "${path}" }`)
+      } else {
+        nameMap[name] = entry
+        if (entry.locale) nameLocales[name] = [entry.locale]
+      }
+    }
+  })
+
+  entries.forEach(({ route, path, parentPath }) => {
+    // 别名与已存在的路由path冲突时，别名不会生效
+    if (route.alias != null) {
+      const aliases = Array.isArray(route.alias) ? route.alias : [route.alias]
+      aliases.forEach(alias => {
+        const aliasPath = normalizePath(alias, parentPath == null ? undefined : { path: parentPath })
+        if (pathMap[aliasPath]) {
+          report('alias-collision', route, path,
+            `Alias "${alias}" of route with path "${path}" collides with the route with path "${aliasPath}".`)
+        }
+      })
+    }
+    // 函数形式的重定向在导航时才能确定目标
+    const { redirect } = route
+    if (!redirect || typeof redirect === 'function') return
+    const target = typeof redirect === 'string' ? { path: redirect } : redirect
+    let targetPath
+    if (target.name) {
+      if (!nameMap[target.name]) {
+        report('unknown-redirect-name', route, path,
+          `Route with path "${path}" redirects to a named route "${target.name}" that does not exist.`)
+        return
+      }
+      targetPath = nameMap[target.name].path
+    } else if (target.path) {
+      targetPath = resolvePath(parsePath(target.path).path, parentPath || '/', true)
+    } else {
+      return
+    }
+    // 重定向目标所需的参数，必须由源路由的path或重定向配置的params提供
+    const provided = getParamNames(path, true).concat(Object.keys(target.params || {}))
+    const missing = getParamNames(targetPath, false)
+      .filter(key => provided.indexOf(key) < 0)
+    if (missing.length) {
+      report('missing-redirect-param', route, path,
+        `Route with path "${path}" redirects to "${targetPath}" but does not provide the params: ${missing.join(', ')}.`)
+    }
+  })
+
+  return problems
+}
+
+// 获取path中的参数名，includeOptional为false时只返回必填参数
+function getParamNames (path: string, includeOptional: boolean): Array<string> {
+  const names = []
+  Regexp.parse(path).forEach(token => {
+    if (typeof token !== 'string' && (includeOptional || !token.optional)) {
+      names.push(String(token.name))
+    }
+  })
+  return names
+}
+
+function isValidProps (props: any, namedViews: boolean): boolean {
+  if (props == null) return true
+  if (!isPropsOption(props)) return false
+  // 命名视图时，对象形式的props需要为每个视图单独指定
+  return !namedViews || typeof props !== 'object' || Object.keys(props)
+    .every(key => isPropsOption(props[key]))
+}
+
+function isPropsOption (props: any): boolean {
+  return typeof props === 'boolean' ||
+    typeof props === 'function' ||
+    (props !== null && typeof props === 'object' && !Array.isArray(props))
+}
@@ -1,5 +1,6 @@
 import Router from '../../../src/index'
 import Vue from 'vue'
+import { GUARD_WARNING_TIMEOUT } from '../../../src/history/base'
 
 describe('router.onReady', () => {
   it('should work', done => {
@@ -118,6 +119,586 @@ describe('router.addRoutes', () => {
   })
 })
 
+describe('router.addRoute', () => {
+  it('adds a top level route', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [{ path: '/a', component: { name: 'A' }}]
+    })
+
+    router.addRoute({ path: '/b', name: 'b', component: { name: 'B' }})
+    expect(router.hasRoute('b')).toBe(true)
+    expect(router.resolve('/b').route.name).toBe('b')
+  })
+
+  it('adds a child route to a named parent', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [{ path: '/admin', name: 'admin', component: { name: 'Admin' }}]
+    })
+
+    router.addRoute('admin', { path: 'users', name: 'users', component: { name: 'Users' }})
+    const { route } = router.resolve('/admin/users')
+    expect(route.name).toBe('users')
+    expect(route.matched.length).toBe(2)
+    expect(route.matched[0].name).toBe('admin')
+  })
+
+  it('adds the child route to the aliases of the parent', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [{ path: '/admin', name: 'admin', alias: '/manage', component: { name: 'Admin' }}]
+    })
+
+    router.addRoute('admin', { path: 'users', name: 'users', component: { name: 'Users' }})
+    const { route } = router.resolve('/manage/users')
+    expect(route.path).toBe('/manage/users')
+    expect(route.matched.length).toBe(2)
+    expect(route.matched[1].name).toBe('users')
+  })
+
+  it('warns when the parent does not exist', () => {
+    spyOn(console, 'warn')
+    process.env.NODE_ENV = 'development'
+    const router = new Router({ mode: 'abstract' })
+    router.addRoute('nope', { path: 'child', name: 'child' })
+    expect(router.hasRoute('child')).toBe(false)
+    expect(console.warn.calls.argsFor(0)[0]).toMatch(
+      "parent route with name 'nope' does not exist"
+    )
+    process.env.NODE_ENV = 'production'
+  })
+
+  it('navigates again when the current location is added', () => {
+    const router = new Router({ mode: 'abstract' })
+
+    router.push('/b')
+    expect(router.getMatchedComponents().length).toBe(0)
+
+    router.addRoute({ path: '/b', component: { name: 'B' }})
+    const components = router.getMatchedComponents()
+    expect(components.length).toBe(1)
+    expect(components[0].name).toBe('B')
+  })
+})
+
+describe('router.removeRoute', () => {
+  let router
+
+  beforeEach(() => {
+    router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/a', name: 'a', component: { name: 'A' }},
+        {
+          path: '/b',
+          name: 'b',
+          alias: ['/alias-b'],
+          component: { name: 'B' },
+          children: [{ path: 'c', name: 'c', component: { name: 'C' }}]
+        },
+        { path: '*', name: 'not-found', component: { name: 'NotFound' }}
+      ]
+    })
+  })
+
+  it('removes the route with its children and aliases', () => {
+    router.removeRoute('b')
+    expect(router.hasRoute('b')).toBe(false)
+    expect(router.hasRoute('c')).toBe(false)
+    expect(router.getRoutes().map(record => record.path)).toEqual(['/a', '*'])
+    expect(router.resolve('/b').route.name).toBe('not-found')
+    expect(router.resolve('/b/c').route.name).toBe('not-found')
+    expect(router.resolve('/alias-b/c').route.name).toBe('not-found')
+  })
+
+  it('keeps other routes', () => {
+    router.removeRoute('c')
+    expect(router.hasRoute('b')).toBe(true)
+    expect(router.getRoutes().map(record => record.path)).toEqual(['/a', '/b', '/alias-b', '*'])
+    expect(router.resolve('/b').route.name).toBe('b')
+  })
+
+  it('removes a pathless group and the aliases of its children only', () => {
+    router.addRoute({
+      path: '/admin',
+      alias: '/backoffice',
+      component: { name: 'Admin' },
+      children: [
+        { path: 'settings', name: 'settings', component: { name: 'Settings' }},
+        { name: 'grp', component: { name: 'Layout' }, children: [{ path: 'users', component: { name: 'Users' }}] }
+      ]
+    })
+    expect(router.resolve('/backoffice/users').route.matched.length).toBe(3)
+    router.removeRoute('grp')
+    expect(router.hasRoute('grp')).toBe(false)
+    expect(router.resolve('/admin/users').route.name).toBe('not-found')
+    expect(router.resolve('/backoffice/users').route.name).toBe('not-found')
+    expect(router.resolve('/backoffice').route.matched[0].components.default.name).toBe('Admin')
+    expect(router.resolve('/backoffice/settings').route.name).toBe('settings')
+  })
+
+  it('navigates again when the current route is removed', () => {
+    router.push('/b/c')
+    expect(router.currentRoute.name).toBe('c')
+
+    router.removeRoute('b')
+    expect(router.currentRoute.name).toBe('not-found')
+    expect(router.currentRoute.path).toBe('/b/c')
+  })
+
+  it('does not navigate when another route is removed', () => {
+    router.push('/b/c')
+    const current = router.currentRoute
+
+    router.removeRoute('a')
+    expect(router.currentRoute).toBe(current)
+  })
+})
+
+describe('router.getRoutes', () => {
+  it('returns the normalized route records', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/a', name: 'a', component: { name: 'A' }, meta: { foo: true }},
+        { path: '/b', component: { name: 'B' }, children: [{ path: 'c', component: { name: 'C' }}] }
+      ]
+    })
+
+    const records = router.getRoutes()
+    expect(records.map(record => record.path)).toEqual(['/b/c', '/a', '/b'])
+    expect(records[1].meta).toEqual({ foo: true })
+    expect(records[0].parent).toBe(records[2])
+  })
+})
+
+describe('strictRoutes', () => {
+  it('throws the problems of the route table', () => {
+    const routes = [
+      { path: '/a', name: 'a', component: { name: 'A' }},
+      { path: '/b', redirect: { name: 'c' }}
+    ]
+    let error
+    try {
+      new Router({ mode: 'abstract', strictRoutes: true, routes }) // eslint-disable-line no-new
+    } catch (err) {
+      error = err
+    }
+    expect(error.name).toBe('RouteConfigError')
+    expect(error.problems).toEqual(Router.validateRoutes(routes))
+    expect(error.message).toContain('redirects to a named route "c" that does not exist')
+
+    expect(() => new Router({ mode: 'abstract', routes })).not.toThrow()
+  })
+})
+
+describe('router.canonicalize', () => {
+  it('returns the canonical url', () => {
+    const router = new Router({ canonicalization: { trailingSlash: 'never', lowercase: true }})
+    expect(router.canonicalize('/Foo//Bar/?a=B#C')).toBe('/foo/bar?a=B#C')
+    expect(new Router().canonicalize('/Foo/')).toBe('/Foo/')
+  })
+
+  it('navigates to the canonical path', done => {
+    const router = new Router({
+      mode: 'abstract',
+      canonicalization: { trailingSlash: 'never', lowercase: true },
+      routes: [{ path: '/foo', component: { name: 'Foo' }}]
+    })
+    router.push('/FOO/').then(route => {
+      expect(route.fullPath).toBe('/foo')
+      expect(route.matched.length).toBe(1)
+      done()
+    })
+  })
+})
+
+describe('localePrefix', () => {
+  it('keeps the locale across navigations', done => {
+    const router = new Router({
+      mode: 'abstract',
+      localePrefix: { locales: ['en', 'de'], defaultLocale: 'en' },
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { path: '/about', name: 'about', component: { name: 'About' }}
+      ]
+    })
+    router.push('/about').then(route => {
+      expect(route.fullPath).toBe('/en/about')
+      expect(route.locale).toBe('en')
+      return router.push('/de/')
+    }).then(route => {
+      expect(route.path).toBe('/de')
+      expect(router.resolve({ name: 'about' }).href).toBe('/de/about')
+      return router.replace({ name: 'about', query: { a: '1' }})
+    }).then(route => {
+      expect(route.fullPath).toBe('/de/about?a=1')
+      done()
+    })
+  })
+})
+
+describe('router.buildPath', () => {
+  const routes = [
+    { path: '/users/:id(\\d+)', name: 'user' },
+    { path: '/posts/:date', name: 'post', params: { date: 'date' }},
+    { path: '/files/:path+', name: 'files' },
+    { path: '/search/:q?', name: 'search' },
+    { path: '/old-user/:id', name: 'old-user', redirect: { name: 'user' }}
+  ]
+  const router = new Router({ routes })
+
+  it('builds the path of named routes', () => {
+    expect(router.buildPath('user', { id: 1 })).toBe('/users/1')
+    expect(router.buildPath('user', { id: 1 }, { tab: 'posts' }, 'top')).toBe('/users/1?tab=posts#top')
+    expect(router.buildPath('post', { date: new Date(Date.UTC(2020, 0, 2)) })).toBe('/posts/2020-01-02')
+    expect(router.buildPath('files', { path: ['a', 'b'] })).toBe('/files/a/b')
+    expect(router.buildPath('search')).toBe('/search')
+    expect(router.buildPath('old-user', { id: 2 })).toBe('/old-user/2')
+  })
+
+  it('throws on missing params', () => {
+    let error
+    try {
+      router.buildPath('user')
+    } catch (err) {
+      error = err
+    }
+    expect(error.name).toBe('MissingParamError')
+    expect(error.route).toBe('user')
+    expect(error.param).toBe('id')
+    expect(error.message).toBe('Missing required param "id" for route "user"')
+    expect(router.tryBuildPath('files', { path: [] }).error.name).toBe('MissingParamError')
+  })
+
+  it('throws on invalid params', () => {
+    const { path, error } = router.tryBuildPath('user', { id: 'abc' })
+    expect(path).toBe(null)
+    expect(error.name).toBe('InvalidParamError')
+    expect(error.param).toBe('id')
+    expect(error.value).toBe('abc')
+    expect(error.message).toBe('Invalid value "abc" for param "id" of route "user"')
+    expect(router.tryBuildPath('post', { date: 'nope' }).error.param).toBe('date')
+    expect(router.tryBuildPath('user', { id: 3 })).toEqual({ path: '/users/3', error: null })
+  })
+
+  it('does not follow redirects', () => {
+    const lookup = jasmine.createSpy('lookup').and.returnValue(Promise.resolve('/users/1'))
+    const router = new Router({
+      routes: routes.concat([
+        { path: '/old', name: 'old', redirect: '/new/:id' },
+        { path: '/new/:id', name: 'new' },
+        { path: '/p/:id', name: 'legacy', redirect: lookup }
+      ])
+    })
+    expect(router.buildPath('old')).toBe('/old')
+    expect(router.buildPath('legacy', { id: 2 })).toBe('/p/2')
+    expect(lookup).not.toHaveBeenCalled()
+  })
+
+  it('exposes the error classes', () => {
+    const missing = new Router.MissingParamError('user', 'id')
+    expect(missing.name).toBe(router.tryBuildPath('user').error.name)
+    expect(missing.message).toBe('Missing required param "id" for route "user"')
+    const invalid = new Router.InvalidParamError('user', 'id', 'abc')
+    expect(invalid.name).toBe(router.tryBuildPath('user', { id: 'abc' }).error.name)
+    expect(invalid.value).toBe('abc')
+  })
+
+  it('throws on unknown routes', () => {
+    expect(() => router.buildPath('nope')).toThrowError(`[vue-router] Route with name 'nope' does not exist`)
+  })
+
+  it('makes router.resolve strict with strictParams', () => {
+    spyOn(console, 'warn')
+    const env = process.env.NODE_ENV
+    process.env.NODE_ENV = 'development'
+    expect(router.resolve({ name: 'user' }).href).toBe('/')
+    const strictRouter = new Router({ routes, strictParams: true })
+    expect(() => strictRouter.resolve({ name: 'user' })).toThrowError('Missing required param "id" for route "user"')
+    expect(strictRouter.resolve({ name: 'user', params: { id: 1 }}).href).toBe('/users/1')
+    // 生产环境下不抛出错误
+    process.env.NODE_ENV = 'production'
+    expect(strictRouter.resolve({ name: 'user' }).href).toBe('/')
+    process.env.NODE_ENV = env
+  })
+})
+
+describe('router.explain', () => {
+  it('explains how a location was matched', () => {
+    const router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/users/:id', name: 'user', component: { name: 'User' }},
+        { path: '/old/:id', redirect: '/users/:id' },
+        { path: '*', component: { name: 'NotFound' }}
+      ]
+    })
+
+    const { route, tested, hops } = router.explain('/old/1')
+    expect(route.path).toBe('/users/1')
+    expect(tested.map(test => [test.path, test.matched])).toEqual([
+      ['/old/:id', true],
+      ['/users/:id', true]
+    ])
+    expect(hops).toEqual([{ type: 'redirect', from: '/old/:id', to: { path: '/users/:id' }}])
+  })
+})
+
+describe('async redirects', () => {
+  let router, lookup
+
+  beforeEach(() => {
+    lookup = jasmine.createSpy('lookup').and.callFake(id => new Promise(resolve => {
+      setTimeout(() => resolve(`post-${id}`), 1)
+    }))
+    router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { path: '/posts/:slug', name: 'post', component: { name: 'Post' }},
+        { path: '/p/:id', redirect: to => lookup(to.params.id).then(slug => ({ name: 'post', params: { slug }})) },
+        { path: '/legacy/:id', redirect: to => Promise.resolve(`/p/${to.params.id}`) },
+        { path: '/broken', redirect: () => Promise.reject(new Error('lookup failed')) }
+      ]
+    })
+  })
+
+  it('waits for the redirect before running the guards', done => {
+    const guard = jasmine.createSpy('guard').and.callFake((to, from, next) => next())
+    router.beforeEach(guard)
+    router.push('/p/1').catch(() => {})
+    router.onReady(() => {
+      expect(guard).toHaveBeenCalledTimes(1)
+      expect(guard.calls.argsFor(0)[0].path).toBe('/posts/post-1')
+      expect(router.currentRoute.path).toBe('/posts/post-1')
+      expect(router.currentRoute.redirectedFrom).toBe('/p/1')
+      done()
+    })
+  })
+
+  it('follows chained async redirects', done => {
+    router.push('/legacy/2', route => {
+      expect(route.path).toBe('/posts/post-2')
+      expect(lookup).toHaveBeenCalledWith('2')
+      done()
+    })
+  })
+
+  it('is cancelled by a newer navigation', done => {
+    const onAbort = jasmine.createSpy('abort')
+    router.push('/p/1', () => {}, onAbort)
+    router.push('/', () => {
+      setTimeout(() => {
+        expect(onAbort).toHaveBeenCalled()
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      }, 5)
+    })
+  })
+
+  it('reports rejected redirects', done => {
+    const spy = jasmine.createSpy('error')
+    router.onError(spy)
+    router.push('/broken').catch(err => {
+      expect(err.message).toBe('lookup failed')
+      expect(spy).toHaveBeenCalledWith(err)
+      done()
+    })
+  })
+
+  it('exposes the pending redirect in router.resolve', done => {
+    const { route, href, pendingRedirect } = router.resolve('/p/3')
+    expect(route.path).toBe('/p/3')
+    expect(route.matched).toEqual([])
+    expect(href).toBe('/p/3')
+    expect(router.resolve('/').pendingRedirect).toBeUndefined()
+    pendingRedirect.then(route => {
+      expect(route.path).toBe('/posts/post-3')
+      done()
+    })
+  })
+  it('calls the redirect function once while it is pending', done => {
+    const { pendingRedirect } = router.resolve('/p/4')
+    expect(router.resolve('/p/4').pendingRedirect).toBe(pendingRedirect)
+    expect(router.resolve('/p/5').pendingRedirect).not.toBe(pendingRedirect)
+    router.push('/p/4', route => {
+      expect(route.path).toBe('/posts/post-4')
+      expect(lookup.calls.allArgs()).toEqual([['4'], ['5']])
+      // 重定向完成后重新调用redirect函数
+      router.resolve('/p/4')
+      expect(lookup).toHaveBeenCalledTimes(3)
+      done()
+    })
+  })
+})
+
+describe('pathless groups', () => {
+  it('runs the guards of the group once for its children', done => {
+    const enterAuth = jasmine.createSpy('enterAuth').and.callFake((to, from, next) => next())
+    const router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        {
+          component: { name: 'AuthLayout' },
+          beforeEnter: enterAuth,
+          meta: { guest: true },
+          children: [
+            { path: '/login', name: 'login', component: { name: 'Login' }},
+            { path: '/register/:step?', name: 'register', component: { name: 'Register' }}
+          ]
+        }
+      ]
+    })
+    router.push('/login').then(route => {
+      expect(route.matched.map(record => record.path)).toEqual(['', '/login'])
+      expect(route.meta).toEqual({ guest: true })
+      return router.push({ name: 'register', params: { step: '2' }})
+    }).then(route => {
+      expect(route.path).toBe('/register/2')
+      expect(route.matched[0].components.default.name).toBe('AuthLayout')
+      expect(enterAuth).toHaveBeenCalledTimes(1)
+      return router.push('/')
+    }).then(() => router.push('/login')).then(() => {
+      expect(enterAuth).toHaveBeenCalledTimes(2)
+      done()
+    })
+  })
+  it('lists the groups in getRoutes', () => {
+    const router = new Router({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { name: 'auth', component: { name: 'AuthLayout' }, children: [{ path: '/login', name: 'login' }] },
+        { path: '/settings', component: { name: 'Settings' }, children: [
+          { name: 'account', children: [{ path: 'profile', name: 'profile' }] }
+        ] }
+      ]
+    })
+    const names = router.getRoutes().map(record => record.name)
+    expect(names.indexOf('auth')).toBeLessThan(names.indexOf('login'))
+    expect(names.indexOf('account')).toBeLessThan(names.indexOf('profile'))
+    expect(names.length).toBe(6)
+  })
+
+  it('resolves named locations of a group to its default child', () => {
+    spyOn(console, 'warn')
+    process.env.NODE_ENV = 'development'
+    const router = new Router({
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { path: '/admin', component: { name: 'Admin' }, children: [
+          { name: 'dashboard', children: [{ path: '', name: 'overview' }, { path: 'stats' }] },
+          { name: 'auth', children: [{ path: 'login' }] }
+        ] }
+      ]
+    })
+    const route = router.resolve({ name: 'dashboard' }).route
+    expect(route.path).toBe('/admin')
+    expect(route.name).toBe('overview')
+    expect(console.warn).not.toHaveBeenCalled()
+    const group = router.resolve({ name: 'auth' }).route
+    expect(group.matched).toEqual([])
+    expect(console.warn).toHaveBeenCalledWith(
+      `[vue-router] Route with name 'auth' is a route group without a default child route, it cannot be navigated to by name`
+    )
+  })
+})
+
+describe('lazily loaded children', () => {
+  let router, loadAdmin
+
+  beforeEach(() => {
+    const loadReports = () => Promise.resolve([
+      { path: ':year', name: 'report', component: { name: 'Report' }}
+    ])
+    loadAdmin = jasmine.createSpy('loadAdmin').and.callFake(() => new Promise(resolve => {
+      setTimeout(() => resolve([
+        { path: '', name: 'admin-home', component: { name: 'AdminHome' }},
+        { path: 'users/:id', name: 'admin-user', component: { name: 'AdminUser' }},
+        { path: 'reports', component: { name: 'Reports' }, loadChildren: loadReports }
+      ]), 1)
+    }))
+    router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: { name: 'Home' }},
+        { path: '/admin', component: { name: 'Admin' }, alias: '/backoffice', loadChildren: loadAdmin },
+        { path: '*', component: { name: 'NotFound' }}
+      ]
+    })
+  })
+
+  it('loads the children before matching', done => {
+    router.push('/admin/users/1').then(route => {
+      expect(route.name).toBe('admin-user')
+      expect(route.params).toEqual({ id: '1' })
+      expect(route.matched.length).toBe(2)
+      return router.push('/admin')
+    }).then(route => {
+      expect(route.name).toBe('admin-home')
+      expect(loadAdmin).toHaveBeenCalledTimes(1)
+      expect(router.resolve('/backoffice/users/2').route.name).toBe('admin-user')
+      done()
+    })
+  })
+
+  it('does not load the children of other paths', done => {
+    router.push('/other').then(route => {
+      expect(route.matched[0].path).toBe('*')
+      expect(loadAdmin).not.toHaveBeenCalled()
+      expect(router.matcher.loadChildren('/', router.currentRoute)).toBe(null)
+      done()
+    })
+  })
+
+  it('loads nested lazy children', done => {
+    router.push('/admin/reports/2020').then(route => {
+      expect(route.name).toBe('report')
+      expect(route.matched.map(record => record.path)).toEqual(['/admin', '/admin/reports', '/admin/reports/:year'])
+      done()
+    })
+  })
+
+  it('loads the children through aliases', done => {
+    router.push('/backoffice/users/3').then(route => {
+      expect(route.path).toBe('/backoffice/users/3')
+      expect(route.matched[1].path).toBe('/admin/users/:id')
+      done()
+    })
+  })
+
+  it('is cancelled by a newer navigation', done => {
+    const onAbort = jasmine.createSpy('abort')
+    router.push('/admin', () => {}, onAbort)
+    router.push('/', () => {
+      setTimeout(() => {
+        expect(onAbort).toHaveBeenCalled()
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      }, 5)
+    })
+  })
+
+  it('reports loading errors and retries on the next navigation', done => {
+    const spy = jasmine.createSpy('error')
+    router.onError(spy)
+    loadAdmin.and.returnValue(Promise.reject(new Error('chunk failed')))
+    router.push('/admin').catch(err => {
+      expect(err.message).toBe('chunk failed')
+      expect(spy).toHaveBeenCalledWith(err)
+      expect(router.currentRoute.matched).toEqual([])
+      loadAdmin.and.returnValue(Promise.resolve([{ path: '', name: 'admin-home' }]))
+      return router.push('/admin')
+    }).then(route => {
+      expect(route.name).toBe('admin-home')
+      expect(loadAdmin).toHaveBeenCalledTimes(2)
+      done()
+    })
+  })
+})
+
 describe('router.push/replace', () => {
   let calls = []
   let router, spy1, spy2
@@ -238,6 +819,597 @@ describe('router.push/replace', () => {
   })
 })
 
+describe('navigation guards returning values', () => {
+  let router
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'development'
+    router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        { path: '/login', component: {}},
+        { path: '/admin', component: {}, beforeEnter: () => Promise.resolve('/login') },
+        {
+          path: '/blocked',
+          component: { beforeRouteEnter: () => Promise.resolve(false) }
+        },
+        {
+          path: '/delayed',
+          component: {
+            beforeRouteEnter (to, from, next) {
+              setTimeout(next, 1)
+              return Promise.resolve()
+            }
+          }
+        }
+      ]
+    })
+  })
+
+  it('confirms the navigation when a guard without next returns nothing', done => {
+    const guard = jasmine.createSpy('guard').and.returnValue(Promise.resolve())
+    router.beforeEach(to => guard(to.path))
+    router.beforeResolve(() => {})
+    router.push('/login').then(route => {
+      expect(guard).toHaveBeenCalledWith('/login')
+      expect(route.path).toBe('/login')
+      done()
+    })
+  })
+
+  it('aborts the navigation when a guard returns false', done => {
+    router.beforeEach(to => to.path !== '/login')
+    router.push('/login').catch(err => {
+      expect(Router.isNavigationFailure(err, Router.NavigationFailureType.aborted)).toBe(true)
+      expect(router.currentRoute.path).toBe('/')
+      return router.push('/blocked')
+    }).catch(() => {
+      expect(router.currentRoute.path).toBe('/')
+      done()
+    })
+  })
+
+  it('redirects to the returned location', done => {
+    router.push('/admin').catch(() => {
+      setTimeout(() => {
+        expect(router.currentRoute.fullPath).toBe('/login')
+        done()
+      })
+    })
+  })
+
+  it('fails with the returned or rejected error', done => {
+    const err = new Error('denied')
+    const spy = jasmine.createSpy('error')
+    router.onError(spy)
+    router.beforeEach(to => to.path === '/login' ? err : Promise.reject(new Error('rejected')))
+    router.push('/login').catch(e => {
+      expect(e).toBe(err)
+      return router.push('/admin')
+    }).catch(e => {
+      expect(e.message).toBe('rejected')
+      expect(spy.calls.count()).toBe(2)
+      expect(spy).toHaveBeenCalledWith(err)
+      done()
+    })
+  })
+
+  it('ignores the return value of a guard declaring next', done => {
+    router.beforeEach((to, from, next) => setTimeout(next, 1))
+    router.beforeEach((to, from, next) => {
+      setTimeout(next, 1)
+      return Promise.resolve(false)
+    })
+    router.push('/delayed').then(route => {
+      expect(route.path).toBe('/delayed')
+      done()
+    })
+  })
+
+  it('does not resolve guards declaring next with their return value', done => {
+    spyOn(console, 'warn')
+    const onAbort = jasmine.createSpy('abort')
+    router.beforeEach((to, from, next) => setTimeout(next))
+    router.beforeEach((to, from, next) => next() || 'ignored')
+    // spy的length为0，已经调用next时忽略返回值
+    router.beforeEach(jasmine.createSpy('guard').and.callFake((to, from, next) => next()))
+    router.push('/delayed', route => {
+      expect(route.path).toBe('/delayed')
+      expect(onAbort).not.toHaveBeenCalled()
+      expect(console.warn).not.toHaveBeenCalled()
+      done()
+    }, onAbort)
+  })
+
+  it('warns when next is called more than once', done => {
+    spyOn(console, 'warn')
+    router.beforeEach((to, from, next) => {
+      next()
+      next()
+    })
+    router.push('/login').then(() => {
+      expect(console.warn).toHaveBeenCalledWith(jasmine.stringMatching('called more than once'))
+      done()
+    })
+  })
+
+  it('warns when a guard neither calls next nor returns a value', () => {
+    jasmine.clock().install()
+    spyOn(console, 'warn')
+    router.beforeEach((to, from, next) => {})
+    router.push('/login', () => {}, () => {})
+    jasmine.clock().tick(GUARD_WARNING_TIMEOUT)
+    expect(console.warn).toHaveBeenCalledWith(
+      `[vue-router] The navigation to "/login" is still pending after ${GUARD_WARNING_TIMEOUT}ms, waiting for the global beforeEach guard to call "next" or return a value.`
+    )
+    jasmine.clock().uninstall()
+  })
+})
+
+describe('navigation failures', () => {
+  const { isNavigationFailure, NavigationFailureType } = Router
+  let router, afterEach, onError
+
+  beforeEach(() => {
+    router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        { path: '/a', component: {}},
+        { path: '/b', component: {}},
+        { path: '/login', component: {}}
+      ]
+    })
+    afterEach = jasmine.createSpy('afterEach')
+    onError = jasmine.createSpy('error')
+    router.afterEach(afterEach)
+    router.onError(onError)
+  })
+
+  function expectFailure (err, type, from, to) {
+    expect(isNavigationFailure(err)).toBe(true)
+    expect(isNavigationFailure(err, NavigationFailureType[type])).toBe(true)
+    expect(err.from.fullPath).toBe(from)
+    expect(err.to.fullPath).toBe(to)
+    expect(afterEach).toHaveBeenCalledWith(err.to, err.from, err)
+    expect(onError).not.toHaveBeenCalled()
+  }
+
+  it('aborted', done => {
+    router.beforeEach((to, from, next) => next(false))
+    router.push('/a').catch(err => {
+      expectFailure(err, 'aborted', '/', '/a')
+      expect(err.name).toBe('NavigationAborted')
+      done()
+    })
+  })
+
+  it('cancelled', done => {
+    router.beforeEach((to, from, next) => setTimeout(next, 1))
+    router.push('/a').catch(err => {
+      expectFailure(err, 'cancelled', '/', '/a')
+      expect(err.message).toBe('Navigation cancelled from "/" to "/a" with a new navigation.')
+    })
+    router.push('/b').then(route => {
+      expect(afterEach).toHaveBeenCalledWith(route, jasmine.objectContaining({ path: '/' }), undefined)
+      done()
+    })
+  })
+
+  it('redirected', done => {
+    router.beforeEach(to => to.path === '/a' ? '/login' : undefined)
+    router.push('/a').catch(err => {
+      expectFailure(err, 'redirected', '/', '/a')
+      setTimeout(() => {
+        expect(router.currentRoute.path).toBe('/login')
+        done()
+      })
+    })
+  })
+
+  it('duplicated', done => {
+    router.push('/a').then(() => router.push('/a')).catch(err => {
+      expectFailure(err, 'duplicated', '/a', '/a')
+      expect(err.name).toBe('NavigationDuplicated')
+      done()
+    })
+  })
+
+  it('isNavigationFailure', () => {
+    const failure = { _isRouter: true, type: NavigationFailureType.cancelled }
+    expect(isNavigationFailure(failure, NavigationFailureType.aborted | NavigationFailureType.cancelled)).toBe(true)
+    expect(isNavigationFailure(failure, NavigationFailureType.aborted)).toBe(false)
+    expect(isNavigationFailure(new Error('foo'))).toBe(false)
+    expect(isNavigationFailure(undefined)).toBe(false)
+  })
+
+  it('does not treat errors as failures', done => {
+    const err = new Error('foo')
+    router.beforeEach(() => err)
+    router.push('/a').catch(e => {
+      expect(e).toBe(err)
+      expect(isNavigationFailure(e)).toBe(false)
+      expect(onError).toHaveBeenCalledWith(err)
+      expect(afterEach).not.toHaveBeenCalled()
+      done()
+    })
+  })
+})
+
+describe('cancellable navigations', () => {
+  const { isNavigationFailure, NavigationFailureType } = Router
+  let router, signals
+
+  beforeEach(() => {
+    signals = []
+    router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        { path: '/a', component: {}},
+        { path: '/b', component: {}},
+        { path: '/lazy', component: () => new Promise(() => {}) }
+      ]
+    })
+    router.beforeEach(to => {
+      signals.push(to.signal)
+      // 模拟挂起的请求，只有signal中止时才结束
+      if (to.path === '/a') {
+        return new Promise(resolve => to.signal.addEventListener('abort', () => resolve()))
+      }
+    })
+  })
+
+  it('aborts the signal of a superseded navigation', done => {
+    router.push('/a').catch(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.cancelled)).toBe(true)
+      expect(signals[0].aborted).toBe(true)
+      expect(signals[0].reason.to.path).toBe('/a')
+    })
+    router.push('/b').then(route => {
+      expect(route.path).toBe('/b')
+      expect(signals[1].aborted).toBe(false)
+      done()
+    })
+  })
+
+  it('cancels the navigation with router.cancelPending', done => {
+    const afterEach = jasmine.createSpy('afterEach')
+    router.afterEach(afterEach)
+    router.push('/a').catch(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.cancelled)).toBe(true)
+      expect(signals[0].aborted).toBe(true)
+      expect(router.currentRoute.path).toBe('/')
+      expect(afterEach).toHaveBeenCalledWith(err.to, err.from, err)
+      done()
+    })
+    router.cancelPending()
+  })
+
+  it('restores the URL of the current route when cancelling', done => {
+    // abstract模式没有url，记录ensureURL恢复的位置
+    let url = '/a'
+    spyOn(router.history, 'ensureURL').and.callFake(push => {
+      expect(push).toBe(true)
+      url = router.currentRoute.fullPath
+    })
+    router.push('/a').catch(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.cancelled)).toBe(true)
+      expect(router.currentRoute.path).toBe('/')
+      expect(url).toBe('/')
+      done()
+    })
+    router.cancelPending()
+  })
+
+  it('does not wait for async components of a superseded navigation', done => {
+    const spy = jasmine.createSpy('abort')
+    router.push('/lazy').catch(spy)
+    router.push('/b').then(() => {
+      expect(spy).toHaveBeenCalled()
+      expect(isNavigationFailure(spy.calls.argsFor(0)[0], NavigationFailureType.cancelled)).toBe(true)
+      done()
+    })
+  })
+
+  it('aborts the signal when the navigation fails', done => {
+    router.beforeEach(() => false)
+    router.push('/b').catch(err => {
+      expect(signals[0].aborted).toBe(true)
+      expect(signals[0].reason).toBe(err)
+      done()
+    })
+  })
+
+  it('works without AbortController', done => {
+    const NativeAbortController = global.AbortController
+    global.AbortController = undefined
+    router.push('/a').catch(err => {
+      expect(isNavigationFailure(err, NavigationFailureType.cancelled)).toBe(true)
+      expect(signals[0].aborted).toBe(true)
+    })
+    router.push('/b').then(() => {
+      global.AbortController = NativeAbortController
+      done()
+    })
+  })
+})
+
+describe('guard timeouts', () => {
+  const { isNavigationFailure, NavigationFailureType } = Router
+  const hang = () => new Promise(() => {})
+  let router, onComplete, onAbort
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'development'
+    jasmine.clock().install()
+    onComplete = jasmine.createSpy('complete')
+    onAbort = jasmine.createSpy('abort')
+    router = new Router({
+      mode: 'abstract',
+      guardTimeout: 1000,
+      routes: [
+        { path: '/', component: {}},
+        { path: '/a', component: {}},
+        { path: '/slow', component: {}, beforeEnter: hang },
+        {
+          path: '/reports',
+          component: {},
+          guardTimeout: 5000,
+          children: [{ path: 'yearly', component: {}, beforeEnter: hang }]
+        },
+        { path: '/unlimited', component: {}, guardTimeout: 0, beforeEnter: hang },
+        { path: '/enter', component: { beforeRouteEnter: hang }}
+      ]
+    })
+  })
+
+  afterEach(() => {
+    jasmine.clock().uninstall()
+  })
+
+  it('aborts the navigation with a timeout failure naming the guard', () => {
+    let signal
+    router.beforeEach(to => {
+      signal = to.signal
+      return to.path === '/a' ? hang() : undefined
+    })
+    router.push('/a', onComplete, onAbort)
+    jasmine.clock().tick(999)
+    expect(onAbort).not.toHaveBeenCalled()
+    jasmine.clock().tick(1)
+    const err = onAbort.calls.argsFor(0)[0]
+    expect(isNavigationFailure(err, NavigationFailureType.timeout)).toBe(true)
+    expect(err.guard).toEqual({ kind: 'global', name: 'beforeEach', record: undefined })
+    expect(err.timeout).toBe(1000)
+    expect(err.message).toBe('Navigation from "/" to "/a" timed out after 1000ms waiting for the global beforeEach guard.')
+    expect(router.history.pending).toBe(null)
+    expect(router.currentRoute.path).toBe('/')
+    expect(signal.aborted).toBe(true)
+    expect(signal.reason).toBe(err)
+    // 超时后可以继续导航
+    router.push('/', onComplete)
+    expect(onComplete).toHaveBeenCalled()
+  })
+
+  it('restores the URL of the current route on timeout', () => {
+    router.push('/a')
+    // abstract模式没有url，记录ensureURL恢复的位置
+    let url = '/slow'
+    spyOn(router.history, 'ensureURL').and.callFake(push => {
+      expect(push).toBe(true)
+      url = router.currentRoute.fullPath
+    })
+    router.push('/slow', onComplete, onAbort)
+    jasmine.clock().tick(1000)
+    expect(isNavigationFailure(onAbort.calls.argsFor(0)[0], NavigationFailureType.timeout)).toBe(true)
+    expect(router.currentRoute.path).toBe('/a')
+    expect(url).toBe('/a')
+  })
+
+  it('names beforeEnter and component guards with their route', () => {
+    router.push('/slow', onComplete, onAbort)
+    jasmine.clock().tick(1000)
+    expect(onAbort.calls.argsFor(0)[0].message).toBe(
+      'Navigation from "/" to "/slow" timed out after 1000ms waiting for the beforeEnter guard of route "/slow".'
+    )
+    router.push('/enter', onComplete, onAbort)
+    jasmine.clock().tick(1000)
+    const err = onAbort.calls.argsFor(1)[0]
+    expect(err.guard.kind).toBe('component')
+    expect(err.guard.record.path).toBe('/enter')
+    expect(err.message).toBe(
+      'Navigation from "/" to "/enter" timed out after 1000ms waiting for the beforeRouteEnter guard of the component of route "/enter".'
+    )
+    expect(onComplete).not.toHaveBeenCalled()
+  })
+
+  it('uses the guardTimeout of the route config', () => {
+    spyOn(console, 'warn')
+    router.push('/reports/yearly', onComplete, onAbort)
+    jasmine.clock().tick(4999)
+    expect(onAbort).not.toHaveBeenCalled()
+    jasmine.clock().tick(1)
+    expect(onAbort.calls.argsFor(0)[0].timeout).toBe(5000)
+    router.push('/unlimited', onComplete, onAbort)
+    jasmine.clock().tick(60000)
+    expect(onAbort.calls.count()).toBe(1)
+    expect(router.history.pending.path).toBe('/unlimited')
+    expect(console.warn).toHaveBeenCalledWith(
+      `[vue-router] The navigation to "/unlimited" is still pending after ${GUARD_WARNING_TIMEOUT}ms, waiting for the beforeEnter guard of route "/unlimited" to call "next" or return a value.`
+    )
+    router.cancelPending()
+  })
+
+  it('does not time out guards that settle in time', () => {
+    router.beforeEach((to, from, next) => { setTimeout(next, 500) })
+    router.push('/a', onComplete, onAbort)
+    jasmine.clock().tick(2000)
+    expect(onAbort).not.toHaveBeenCalled()
+    expect(onComplete).toHaveBeenCalled()
+  })
+
+  it('calls the slow navigation hooks before the timeout', () => {
+    router = new Router({
+      mode: 'abstract',
+      guardTimeout: 1000,
+      slowNavigationThreshold: 300,
+      routes: [{ path: '/slow', component: {}, beforeEnter: hang }]
+    })
+    spyOn(console, 'warn')
+    const slow = jasmine.createSpy('slow')
+    const remove = router.onSlowNavigation(slow)
+    router.push('/slow', onComplete, onAbort)
+    jasmine.clock().tick(299)
+    expect(slow).not.toHaveBeenCalled()
+    jasmine.clock().tick(1)
+    expect(slow).toHaveBeenCalledWith({
+      to: router.history.pending,
+      from: router.currentRoute,
+      guard: { kind: 'beforeEnter', name: 'beforeEnter', record: router.history.pending.matched[0] },
+      elapsed: 300
+    })
+    expect(console.warn).not.toHaveBeenCalled()
+    jasmine.clock().tick(700)
+    expect(isNavigationFailure(onAbort.calls.argsFor(0)[0], NavigationFailureType.timeout)).toBe(true)
+    // 没有钩子时，开发环境下给予警告
+    remove()
+    router.push('/slow', onComplete, onAbort)
+    jasmine.clock().tick(300)
+    expect(slow.calls.count()).toBe(1)
+    expect(console.warn).toHaveBeenCalledWith(
+      '[vue-router] The navigation to "/slow" is still pending after 300ms, waiting for the beforeEnter guard of route "/slow" to call "next" or return a value.'
+    )
+  })
+})
+
+describe('navigation events', () => {
+  const { isNavigationFailure, NavigationFailureType } = Router
+  const events = ['navigationStart', 'guardStart', 'guardEnd', 'componentsResolved', 'navigationEnd', 'navigationCancel', 'navigationError']
+  let router, calls
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'development'
+    calls = []
+    router = new Router({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        { path: '/a', component: { beforeRouteEnter: (to, from, next) => next() }, beforeEnter: () => {} },
+        { path: '/b', component: {}},
+        { path: '/error', component: {}, beforeEnter: () => { throw new Error('oops') } }
+      ]
+    })
+    events.forEach(event => {
+      router.on(event, payload => calls.push([event, payload]))
+    })
+  })
+
+  it('emits the events of a navigation in order', done => {
+    router.beforeEach(() => {})
+    router.beforeResolve(() => {})
+    router.push('/a').then(() => {
+      expect(calls.map(([event, payload]) => payload.guard
+        ? `${event} ${payload.guard.kind} ${payload.guard.name}`
+        : event
+      )).toEqual([
+        'navigationStart',
+        'guardStart global beforeEach',
+        'guardEnd global beforeEach',
+        'guardStart beforeEnter beforeEnter',
+        'guardEnd beforeEnter beforeEnter',
+        'componentsResolved',
+        'guardStart component beforeRouteEnter',
+        'guardEnd component beforeRouteEnter',
+        'guardStart global beforeResolve',
+        'guardEnd global beforeResolve',
+        'navigationEnd'
+      ])
+      calls.forEach(([event, payload]) => {
+        expect(payload.to.path).toBe('/a')
+        expect(payload.from).toBe(calls[0][1].from)
+        expect(typeof payload.time).toBe('number')
+      })
+      expect(calls[4][1].guard.record).toBe(router.currentRoute.matched[0])
+      expect(calls[4][1].duration).toBeGreaterThanOrEqual(0)
+      expect(calls[10][1].duration).toBeGreaterThanOrEqual(calls[5][1].duration)
+      expect(calls[0][1].duration).toBeUndefined()
+      done()
+    })
+  })
+
+  it('emits navigationCancel for navigation failures', done => {
+    router.beforeEach(to => to.path !== '/b')
+    router.push('/b').catch(err => {
+      const [event, payload] = calls[calls.length - 1]
+      expect(event).toBe('navigationCancel')
+      expect(payload.failure).toBe(err)
+      expect(isNavigationFailure(payload.failure, NavigationFailureType.aborted)).toBe(true)
+      expect(payload.duration).toBeGreaterThanOrEqual(0)
+      done()
+    })
+  })
+
+  it('emits navigationCancel for superseded navigations', done => {
+    router.beforeEach(to => to.path === '/b' ? new Promise(() => {}) : undefined)
+    router.push('/b').catch(() => {})
+    router.push('/a').then(() => {
+      const ends = calls.filter(([event]) => /^navigation(End|Cancel)$/.test(event))
+      expect(ends.map(([event, payload]) => `${event} ${payload.to.path}`)).toEqual([
+        'navigationCancel /b',
+        'navigationEnd /a'
+      ])
+      done()
+    })
+  })
+
+  it('emits navigationError for errors', done => {
+    spyOn(console, 'warn')
+    spyOn(console, 'error')
+    router.push('/error').catch(err => {
+      const [event, payload] = calls[calls.length - 1]
+      expect(event).toBe('navigationError')
+      expect(payload.error).toBe(err)
+      expect(err.message).toBe('oops')
+      done()
+    })
+  })
+
+  it('emits events for navigations confirmed without transitionTo', done => {
+    router.push('/a').then(() => router.push('/b')).then(() => {
+      calls = []
+      router.go(-1)
+      expect(calls[0][0]).toBe('navigationStart')
+      expect(calls[calls.length - 1][0]).toBe('navigationEnd')
+      expect(calls[calls.length - 1][1].to.path).toBe('/a')
+      done()
+    })
+  })
+
+  it('removes listeners and ignores their errors', done => {
+    spyOn(console, 'warn')
+    spyOn(console, 'error')
+    const error = new Error('listener')
+    const remove = router.on('navigationEnd', () => { throw error })
+    router.push('/b').then(() => {
+      expect(console.warn).toHaveBeenCalledWith('[vue-router] uncaught error in the "navigationEnd" listener:')
+      expect(console.error).toHaveBeenCalledWith(error)
+      remove()
+      return router.push('/')
+    }).then(() => {
+      expect(console.error.calls.count()).toBe(1)
+      done()
+    })
+  })
+
+  it('warns about unknown events', () => {
+    spyOn(console, 'warn')
+    router.on('navigationDone', () => {})
+    expect(console.warn).toHaveBeenCalledWith(jasmine.stringMatching('Unknown navigation event "navigationDone"'))
+  })
+})
+
 describe('router app destroy handling', () => {
   Vue.use(Router)
 
@@ -1,5 +1,5 @@
 /*eslint-disable no-undef*/
-import { createRouteMap } from '../../../src/create-route-map'
+import { createRouteMap, removeRouteRecord } from '../../../src/create-route-map'
 
 const Home = { template: '<div>This is Home</div>' }
 const Foo = { template: '<div>This is Foo</div>' }
@@ -58,12 +58,12 @@ describe('Creating Route Map', function () {
 
   it('has a pathList which places wildcards at the end', () => {
     expect(maps.pathList).toEqual([
-      '',
-      '/foo',
       '/bar/',
-      '/bar',
       '/bar-redirect/',
+      '/foo',
+      '/bar',
       '/bar-redirect',
+      '',
       '*'
     ])
   })
@@ -163,6 +163,141 @@ describe('Creating Route Map', function () {
     expect(console.warn).not.toHaveBeenCalled()
   })
 
+  describe('route ranking', function () {
+    const paths = routes => createRouteMap(
+      routes.map(path => ({ path, component: Foo }))
+    ).pathList
+
+    it('ranks static segments before params', function () {
+      expect(paths(['/users/:id', '/users/new'])).toEqual(['/users/new', '/users/:id'])
+      expect(paths(['/:lang/about', '/en/:page'])).toEqual(['/en/:page', '/:lang/about'])
+    })
+
+    it('ranks params with a custom regex before plain params', function () {
+      expect(paths(['/users/:name', '/users/:id(\\d+)'])).toEqual(['/users/:id(\\d+)', '/users/:name'])
+    })
+
+    it('ranks plain params before repeatable and optional params', function () {
+      expect(paths(['/files/:path?', '/files/:path*', '/files/:path+', '/files/:name'])).toEqual([
+        '/files/:name',
+        '/files/:path+',
+        '/files/:path?',
+        '/files/:path*'
+      ])
+    })
+
+    it('ranks longer paths first unless the extra segments are optional', function () {
+      expect(paths(['/users', '/users/:id'])).toEqual(['/users/:id', '/users'])
+      expect(paths(['/users/:id?', '/users'])).toEqual(['/users', '/users/:id?'])
+    })
+
+    it('ranks wildcards last', function () {
+      expect(paths(['*', '/files/*', '/files/:name'])).toEqual(['/files/:name', '/files/*', '*'])
+    })
+
+    it('keeps the declaration order for routes with the same rank', function () {
+      expect(paths(['/b/:id', '/a/:id'])).toEqual(['/b/:id', '/a/:id'])
+    })
+
+    it('in development, warns about ambiguous routes', function () {
+      process.env.NODE_ENV = 'development'
+      expect(paths(['/users/:id', '/users/:name'])).toEqual(['/users/:id', '/users/:name'])
+      expect(console.warn).toHaveBeenCalledTimes(1)
+      expect(console.warn.calls.argsFor(0)[0]).toMatch(
+        'The routes "/users/:id" and "/users/:name" are ambiguous'
+      )
+    })
+
+    it('in development, warns about ambiguous routes once when adding routes', function () {
+      process.env.NODE_ENV = 'development'
+      const { pathList, pathMap, nameMap } = createRouteMap([
+        { path: '/users/:id', component: Foo },
+        { path: '/users/:name', component: Foo }
+      ])
+      expect(console.warn).toHaveBeenCalledTimes(1)
+      createRouteMap([{ path: '/about', component: Foo }], pathList, pathMap, nameMap)
+      expect(console.warn).toHaveBeenCalledTimes(1)
+      createRouteMap([{ path: '/users/:slug', component: Foo }], pathList, pathMap, nameMap)
+      expect(console.warn).toHaveBeenCalledTimes(2)
+      expect(console.warn.calls.argsFor(1)[0]).toMatch(
+        'The routes "/users/:id" and "/users/:slug" are ambiguous'
+      )
+    })
+
+    it('in development, does not warn about routes differing only in case when case sensitive', function () {
+      process.env.NODE_ENV = 'development'
+      createRouteMap([
+        { path: '/FooBar', component: FooBar, caseSensitive: true },
+        { path: '/foobar', component: Foobar, caseSensitive: true }
+      ])
+      expect(console.warn).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('pathless groups', function () {
+    const Layout = { template: '<div><router-view></router-view></div>' }
+    const guard = (to, from, next) => next()
+
+    it('does not add a segment to the path of the children', function () {
+      const { pathList, pathMap, nameMap } = createRouteMap([
+        {
+          component: Layout,
+          beforeEnter: guard,
+          name: 'auth',
+          children: [
+            { path: '/login', name: 'login', component: Foo },
+            { path: 'register', name: 'register', component: Bar }
+          ]
+        },
+        {
+          path: '/admin',
+          component: Bar,
+          alias: '/backoffice',
+          children: [
+            { meta: { group: true }, children: [{ path: 'users', component: Foo }] }
+          ]
+        }
+      ])
+      expect(pathList).toEqual(['/admin/users', '/backoffice/users', '/login', '/register', '/admin', '/backoffice'])
+      const login = pathMap['/login']
+      expect(login.parent.pathless).toBe(true)
+      expect(login.parent.beforeEnter).toBe(guard)
+      expect(login.parent.path).toBe('')
+      expect(nameMap.register.path).toBe('/register')
+      expect(nameMap.register.parent).toBe(login.parent)
+      expect(nameMap.auth).toBe(login.parent)
+      expect(pathMap['/admin/users'].parent.path).toBe('/admin')
+      expect(pathMap['/admin/users'].parent.parent).toBe(pathMap['/admin'])
+      expect(pathMap['/backoffice/users'].matchAs).toBe('/admin/users')
+      expect(login.pathless).toBe(false)
+    })
+
+    it('removes a group without removing the aliases of its parent', function () {
+      const { pathList, pathMap, nameMap } = createRouteMap([
+        {
+          path: '/admin',
+          component: Bar,
+          alias: '/backoffice',
+          children: [
+            { path: 'settings', component: Foo },
+            { name: 'grp', component: Layout, children: [{ path: 'users', component: Foo }] }
+          ]
+        }
+      ])
+      removeRouteRecord(pathList, pathMap, nameMap, nameMap.grp)
+      expect(pathList.slice().sort()).toEqual(['/admin', '/admin/settings', '/backoffice', '/backoffice/settings'])
+      expect(pathMap['/backoffice/settings'].matchAs).toBe('/admin/settings')
+      expect(nameMap.grp).toBeUndefined()
+    })
+
+    it('in development, still throws if path is missing without children', function () {
+      process.env.NODE_ENV = 'development'
+      expect(() => {
+        createRouteMap([{ children: [{ component: Bar }] }])
+      }).toThrowError(/"path" is required/)
+    })
+  })
+
   describe('path-to-regexp options', function () {
     const routes = [
       { path: '/foo', name: 'foo', component: Foo },
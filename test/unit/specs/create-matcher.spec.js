@@ -85,6 +85,521 @@ describe('Creating Matcher', function () {
     expect(params).toEqual({ pathMatch: '/not-found' })
   })
 
+  it('matches the most specific route regardless of the declaration order', function () {
+    const { match } = createMatcher([
+      { path: '/users/:id', name: 'user', component: { name: 'user' }},
+      { path: '/users/new', name: 'new-user', component: { name: 'new-user' }}
+    ])
+    expect(match('/users/new').name).toBe('new-user')
+    expect(match('/users/1').name).toBe('user')
+  })
+
+  describe('typed params', function () {
+    const { match } = createMatcher([
+      {
+        path: '/users/:id',
+        name: 'user',
+        params: { id: 'int' },
+        children: [{ path: 'posts/:date', name: 'posts', params: { date: 'date' }}]
+      },
+      { path: '/users/:slug', name: 'user-slug', params: { slug: /^[a-z-]+$/ }},
+      { path: '*', name: 'notFound' }
+    ])
+
+    it('coerces matched params', function () {
+      const route = match('/users/12')
+      expect(route.name).toBe('user')
+      expect(route.params).toEqual({ id: 12 })
+    })
+
+    it('inherits the types of the parent', function () {
+      const { params } = match('/users/12/posts/2020-01-31')
+      expect(params.id).toBe(12)
+      expect(params.date.getTime()).toBe(Date.UTC(2020, 0, 31))
+    })
+
+    it('falls through to the next route when a param is invalid', function () {
+      expect(match('/users/foo-bar').name).toBe('user-slug')
+      expect(match('/users/Foo').name).toBe('notFound')
+    })
+
+    it('serializes typed params of named routes', function () {
+      const route = match({
+        name: 'posts',
+        params: { id: 3, date: new Date(Date.UTC(2020, 0, 31)) }
+      })
+      expect(route.path).toBe('/users/3/posts/2020-01-31')
+      expect(route.params.id).toBe(3)
+    })
+
+    it('coerces string params of named routes', function () {
+      const route = match({ name: 'user', params: { id: '5' }})
+      expect(route.path).toBe('/users/5')
+      expect(route.params).toEqual({ id: 5 })
+    })
+  })
+
+  describe('repeatable params', function () {
+    const { match } = createMatcher([
+      { path: '/files/:segments+', name: 'files' },
+      { path: '/pages/:ids*', name: 'pages', params: { ids: 'int' }}
+    ])
+
+    it('exposes repeatable params as arrays of decoded segments', function () {
+      expect(match('/files/a/b%20c/d%2Fe').params).toEqual({ segments: ['a', 'b c', 'd/e'] })
+      expect(match('/files/a').params).toEqual({ segments: ['a'] })
+    })
+
+    it('builds the path of named routes from arrays', function () {
+      const route = match({ name: 'files', params: { segments: ['a', 'b c'] }})
+      expect(route.path).toBe('/files/a/b%20c')
+      expect(route.params).toEqual({ segments: ['a', 'b c'] })
+    })
+
+    it('applies param types to each segment', function () {
+      expect(match('/pages/1/2').params).toEqual({ ids: [1, 2] })
+      expect(match('/pages/1/foo').name).toBe(null)
+      expect(match({ name: 'pages', params: { ids: [3, 4] }}).path).toBe('/pages/3/4')
+    })
+  })
+
+  describe('explain', function () {
+    const { explain, match } = createMatcher([
+      { path: '/users/new', name: 'new-user' },
+      { path: '/users/:id', name: 'user', params: { id: 'int' }},
+      { path: '/users', name: 'users', alias: '/people' },
+      { path: '*', name: 'notFound' }
+    ])
+
+    it('lists the tested records in order', function () {
+      const { route, tested, hops } = explain('/users/foo')
+      expect(route.name).toBe('notFound')
+      expect(tested).toEqual([
+        {
+          path: '/users/:id',
+          name: 'user',
+          regex: String(/^\/users\/((?:[^\/]+?))(?:\/(?=$))?$/i),
+          matched: false,
+          params: { id: 'foo' },
+          reason: 'invalid params'
+        },
+        {
+          path: '/users',
+          name: 'users',
+          regex: String(/^\/users(?:\/(?=$))?$/i),
+          matched: false,
+          params: {}
+        },
+        {
+          path: '*',
+          name: 'notFound',
+          regex: String(/^((?:.*))(?:\/(?=$))?$/i),
+          matched: true,
+          params: { pathMatch: '/users/foo' }
+        }
+      ])
+      expect(hops).toEqual([])
+    })
+
+    it('does not use the match cache', function () {
+      match('/users/1')
+      const { route, tested } = explain('/users/1')
+      expect(route.params).toEqual({ id: 1 })
+      expect(tested.length).toBe(1)
+    })
+
+    it('records alias hops', function () {
+      const { route, tested, hops } = explain('/people')
+      expect(route.name).toBe('users')
+      expect(tested.map(test => test.path)).toEqual(['/people', '/users/:id', '/users'])
+      expect(hops).toEqual([{ type: 'alias', from: '/people', to: { path: '/users' }}])
+    })
+
+    it('explains redirect loops instead of throwing', function () {
+      const { explain, match } = createMatcher([
+        { path: '/a', redirect: '/b' },
+        { path: '/b', redirect: '/a' }
+      ])
+      const { route, hops, error } = explain('/a')
+      expect(route.path).toBe('/a')
+      expect(route.matched).toEqual([])
+      expect(hops).toEqual([
+        { type: 'redirect', from: '/a', to: { path: '/b' }},
+        { type: 'redirect', from: '/b', to: { path: '/a' }}
+      ])
+      expect(error.name).toBe('NavigationRedirectLoop')
+      expect(error.chain).toEqual(['/a', '/b', '/a'])
+      expect(explain('/c').error).toBeUndefined()
+      expect(() => match('/a')).toThrowError('Redirect loop detected: /a -> /b -> /a')
+    })
+
+    it('explains named locations', function () {
+      const { route, tested } = explain({ name: 'user', params: { id: '2' }})
+      expect(route.path).toBe('/users/2')
+      expect(tested.length).toBe(1)
+      expect(tested[0].path).toBe('/users/:id')
+      expect(tested[0].matched).toBe(true)
+      expect(tested[0].params).toEqual({ id: '2' })
+    })
+  })
+
+  describe('localized paths', function () {
+    const routes = [
+      { path: { en: '/about', de: '/ueber-uns' }, name: 'about' },
+      {
+        path: { en: '/products', de: '/produkte' },
+        name: 'products',
+        children: [
+          { path: ':id', name: 'product' },
+          { path: { en: 'reviews', de: 'bewertungen' }, name: 'reviews' }
+        ]
+      },
+      { path: { en: '/old-about', de: '/alt' }, redirect: { name: 'about' }},
+      { path: '/contact', name: 'contact' }
+    ]
+
+    it('matches the path of any locale', function () {
+      const { match } = createMatcher(routes)
+      expect(match('/about').name).toBe('about')
+      expect(match('/about').locale).toBe('en')
+      expect(match('/ueber-uns').name).toBe('about')
+      expect(match('/ueber-uns').locale).toBe('de')
+      expect(match('/produkte/1/').name).toBe('product')
+      expect(match('/produkte/1').locale).toBe('de')
+      expect(match('/produkte/bewertungen').name).toBe('reviews')
+      expect(match('/contact').locale).toBeUndefined()
+    })
+
+    it('resolves named routes for the requested locale', function () {
+      const { match } = createMatcher(routes)
+      expect(match({ name: 'about' }).path).toBe('/about')
+      expect(match({ name: 'about', locale: 'de' }).path).toBe('/ueber-uns')
+      expect(match({ name: 'reviews', locale: 'de' }).path).toBe('/produkte/bewertungen')
+      expect(match({ name: 'product', locale: 'de', params: { id: 2 }}).path).toBe('/produkte/2')
+      // 未配置的语言，使用第一种语言
+      expect(match({ name: 'about', locale: 'fr' }).path).toBe('/about')
+    })
+
+    it('uses the locale of the router, then of the current route', function () {
+      const router = { options: {}, locale: 'de' }
+      const { match } = createMatcher(routes, router)
+      expect(match({ name: 'about' }).path).toBe('/ueber-uns')
+      expect(match({ name: 'about', locale: 'en' }).path).toBe('/about')
+      router.locale = null
+      expect(match({ name: 'about' }, match('/produkte')).path).toBe('/ueber-uns')
+      expect(match({ name: 'about' }, match('/products')).path).toBe('/about')
+    })
+
+    it('switches the locale of the current route', function () {
+      const { match } = createMatcher(routes)
+      const current = match('/products/3')
+      expect(match({ locale: 'de' }, current).path).toBe('/produkte/3')
+    })
+
+    it('keeps the locale when redirecting to a named route', function () {
+      const { match } = createMatcher(routes)
+      expect(match('/alt').path).toBe('/ueber-uns')
+      expect(match('/old-about').path).toBe('/about')
+    })
+
+    it('adds and removes localized routes', function () {
+      const { match, addRoute, removeRoute, getRoutes } = createMatcher(routes)
+      addRoute('products', { path: 'faq', name: 'faq' })
+      expect(match({ name: 'faq', locale: 'de' }).path).toBe('/produkte/faq')
+      expect(match('/products/faq').name).toBe('faq')
+      removeRoute('products')
+      expect(getRoutes().map(record => record.path).sort()).toEqual([
+        '/about', '/alt', '/contact', '/old-about', '/ueber-uns'
+      ])
+    })
+  })
+
+  describe('canMatch', function () {
+    let flags, routes
+
+    beforeEach(function () {
+      flags = { newDashboard: false, beta: false }
+      routes = [
+        {
+          path: '/dashboard',
+          name: 'new-dashboard',
+          component: { name: 'NewDashboard' },
+          canMatch: (location, router) => flags.newDashboard
+        },
+        { path: '/dashboard', name: 'dashboard', component: { name: 'Dashboard' }},
+        {
+          path: '/beta',
+          canMatch: () => flags.beta,
+          component: { name: 'Beta' },
+          children: [{ path: 'items/:id', name: 'beta-item', component: { name: 'Item' }}]
+        },
+        { path: '/items/:id', canMatch: location => location.params.id !== 'new' },
+        { path: '*', name: 'notFound' }
+      ]
+    })
+
+    it('skips records whose canMatch returns false', function () {
+      const { match } = createMatcher(routes)
+      expect(match('/dashboard').name).toBe('dashboard')
+      flags.newDashboard = true
+      // canMatch的结果不会被缓存
+      expect(match('/dashboard').name).toBe('new-dashboard')
+    })
+
+    it('passes the location and the router', function () {
+      const router = { options: {}}
+      const canMatch = jasmine.createSpy('canMatch').and.returnValue(true)
+      const { match } = createMatcher([{ path: '/users/:id', canMatch }], router)
+      match('/users/1?a=b')
+      expect(canMatch).toHaveBeenCalledTimes(1)
+      expect(canMatch.calls.argsFor(0)[0].path).toBe('/users/1')
+      expect(canMatch.calls.argsFor(0)[0].params).toEqual({ id: '1' })
+      expect(canMatch.calls.argsFor(0)[0].query).toEqual({ a: 'b' })
+      expect(canMatch.calls.argsFor(0)[1]).toBe(router)
+    })
+
+    it('checks the canMatch of parent records', function () {
+      const { match } = createMatcher(routes)
+      expect(match('/beta/items/1').name).toBe('notFound')
+      expect(match('/items/new').name).toBe('notFound')
+      expect(match('/items/1').matched[0].path).toBe('/items/:id')
+      flags.beta = true
+      expect(match('/beta/items/1').name).toBe('beta-item')
+    })
+
+    it('falls back to path matching for named routes', function () {
+      const { match } = createMatcher(routes)
+      expect(match({ name: 'new-dashboard', query: { a: '1' }}).name).toBe('dashboard')
+      expect(match({ name: 'new-dashboard', query: { a: '1' }}).fullPath).toBe('/dashboard?a=1')
+      expect(match({ name: 'beta-item', params: { id: '2' }}).name).toBe('notFound')
+      flags.newDashboard = true
+      expect(match({ name: 'new-dashboard' }).name).toBe('new-dashboard')
+      expect(match({ name: 'dashboard' }).name).toBe('dashboard')
+    })
+
+    it('keeps the records with the same path', function () {
+      const { match, getRoutes, removeRoute } = createMatcher(routes)
+      expect(getRoutes().filter(record => record.path === '/dashboard').length).toBe(2)
+      flags.newDashboard = true
+      removeRoute('new-dashboard')
+      expect(match('/dashboard').name).toBe('dashboard')
+      expect(getRoutes().filter(record => record.path === '/dashboard').length).toBe(1)
+      removeRoute('dashboard')
+      expect(match('/dashboard').name).toBe('notFound')
+    })
+
+    it('explains why a record was skipped', function () {
+      const { explain } = createMatcher(routes)
+      const { tested } = explain('/dashboard')
+      expect(tested[0]).toEqual(jasmine.objectContaining({ name: 'new-dashboard', matched: false, reason: 'canMatch' }))
+      expect(tested[1]).toEqual(jasmine.objectContaining({ name: 'dashboard', matched: true }))
+    })
+  })
+
+  describe('param defaults', function () {
+    const routes = [
+      { path: '/list/:page?', name: 'list', params: { page: 'int' }, paramDefaults: { page: 1 }},
+      {
+        path: '/archive/:year/:month?/:day?',
+        name: 'archive',
+        paramDefaults: { month: '01', day: '01' },
+        children: [{ path: 'print', name: 'archive-print' }]
+      }
+    ]
+
+    it('fills absent optional params when matching', function () {
+      const { match } = createMatcher(routes)
+      expect(match('/list').params).toEqual({ page: 1 })
+      expect(match('/list/3').params).toEqual({ page: 3 })
+      expect(match('/archive/2020').params).toEqual({ year: '2020', month: '01', day: '01' })
+      expect(match('/archive/2020/05/print').params).toEqual({ year: '2020', month: '05', day: '01' })
+    })
+
+    it('allows named locations to omit them', function () {
+      const { match } = createMatcher(routes)
+      const route = match({ name: 'list' })
+      expect(route.path).toBe('/list/1')
+      expect(route.params).toEqual({ page: 1 })
+      expect(match({ name: 'archive', params: { year: 2020, day: '02' }}).path).toBe('/archive/2020/01/02')
+    })
+
+    it('omits the segments equal to their default with omitDefaultParams', function () {
+      const { match } = createMatcher(routes, { options: { omitDefaultParams: true }})
+      expect(match({ name: 'list' }).path).toBe('/list')
+      expect(match({ name: 'list', params: { page: '1' }}).path).toBe('/list')
+      expect(match({ name: 'list', params: { page: 2 }}).path).toBe('/list/2')
+      expect(match({ name: 'list' }).params).toEqual({ page: 1 })
+      expect(match({ name: 'archive', params: { year: 2020 }}).path).toBe('/archive/2020')
+      // 只能从末尾开始省略，中间的参数不能省略
+      expect(match({ name: 'archive', params: { year: 2020, day: '02' }}).path).toBe('/archive/2020/01/02')
+      expect(match({ name: 'archive', params: { year: 2020, month: '02' }}).path).toBe('/archive/2020/02')
+      expect(match({ name: 'archive-print', params: { year: 2020 }}).path).toBe('/archive/2020/print')
+    })
+  })
+
+  describe('canonicalization', function () {
+    const routes = [
+      { path: '/', name: 'home' },
+      { path: '/users/:id', name: 'user' },
+      { path: '/old-users/:id', redirect: '/users/:id' }
+    ]
+
+    it('matches and returns canonical paths', function () {
+      const { match } = createMatcher(routes, {
+        options: { canonicalization: { trailingSlash: 'always', lowercase: true }}
+      })
+      const route = match('/Users//Abc?Q=1#Top')
+      expect(route.name).toBe('user')
+      expect(route.path).toBe('/users/abc/')
+      expect(route.params).toEqual({ id: 'abc' })
+      expect(route.fullPath).toBe('/users/abc/?Q=1#Top')
+      expect(match({ name: 'user', params: { id: 1 }}).path).toBe('/users/1/')
+      expect(match('/').path).toBe('/')
+      expect(match('/old-users/2').path).toBe('/users/2/')
+    })
+
+    it('removes trailing slashes', function () {
+      const { match } = createMatcher(routes, {
+        options: { canonicalization: { trailingSlash: 'never' }}
+      })
+      expect(match('/users/A/').path).toBe('/users/A')
+      expect(match('/').path).toBe('/')
+    })
+
+    it('works with locale prefixes', function () {
+      const { match } = createMatcher(routes, {
+        options: {
+          localePrefix: { locales: ['en', 'de'], defaultLocale: 'en' },
+          canonicalization: { trailingSlash: 'always' }
+        }
+      })
+      expect(match('/de').path).toBe('/de/')
+      expect(match('/users/1').path).toBe('/en/users/1/')
+      expect(match({ name: 'home' }).path).toBe('/en/')
+    })
+  })
+
+  describe('locale prefix', function () {
+    const routes = [
+      { path: '/', name: 'home' },
+      { path: '/users/:id', name: 'user' },
+      { path: '/old-users/:id', redirect: '/users/:id' },
+      { path: '/people/:id', redirect: { name: 'user' }},
+      { path: '*', name: 'notFound' }
+    ]
+    const router = { options: { localePrefix: { locales: ['en', 'de'], defaultLocale: 'de' }}}
+
+    it('matches paths prefixed with a locale', function () {
+      const { match } = createMatcher(routes, router)
+      const route = match('/en/users/1')
+      expect(route.name).toBe('user')
+      expect(route.path).toBe('/en/users/1')
+      expect(route.params).toEqual({ id: '1' })
+      expect(route.locale).toBe('en')
+      expect(match('/de').name).toBe('home')
+      expect(match('/de').path).toBe('/de')
+    })
+
+    it('adds the locale to paths without prefix', function () {
+      const { match } = createMatcher(routes, router)
+      expect(match('/users/1').path).toBe('/de/users/1')
+      expect(match('/users/1').locale).toBe('de')
+      expect(match('/').path).toBe('/de')
+      expect(match('/fr/users/1').path).toBe('/de/fr/users/1')
+      expect(match('/fr/users/1').name).toBe('notFound')
+    })
+
+    it('keeps the locale of the current route', function () {
+      const { match } = createMatcher(routes, router)
+      const current = match('/en/users/1')
+      expect(match('/users/2', current).path).toBe('/en/users/2')
+      expect(match({ name: 'user', params: { id: 2 }}, current).path).toBe('/en/users/2')
+      expect(match({ params: { id: 3 }}, current).path).toBe('/en/users/3')
+      expect(match({ name: 'user', params: { id: 2 }, locale: 'de' }, current).path).toBe('/de/users/2')
+      expect(match({ path: '/users/2', locale: 'de' }, current).path).toBe('/de/users/2')
+      expect(match('/de/users/2', current).path).toBe('/de/users/2')
+    })
+
+    it('keeps the locale when redirecting', function () {
+      const { match } = createMatcher(routes, router)
+      expect(match('/en/old-users/1').path).toBe('/en/users/1')
+      expect(match('/en/people/1').path).toBe('/en/users/1')
+      expect(match('/en/people/1').redirectedFrom).toBe('/en/people/1')
+    })
+
+    it('detects the locale of the browser', function () {
+      const { match } = createMatcher(routes, {
+        options: { localePrefix: { locales: ['en', 'de'] }}
+      })
+      expect(match('/users/1').path).toBe('/en/users/1')
+      global.navigator = { language: 'de-AT' }
+      try {
+        expect(match('/users/1').path).toBe('/de/users/1')
+      } finally {
+        delete global.navigator
+      }
+    })
+  })
+
+  describe('redirect loops', function () {
+    const routes = [
+      { path: '/a', redirect: '/b' },
+      { path: '/b', redirect: '/a' },
+      { path: '/end', name: 'end' }
+    ]
+    // /r/0 -> /r/1 -> ... -> /r/12 -> /end
+    for (let i = 0; i < 12; i++) {
+      routes.push({ path: `/r/${i}`, redirect: `/r/${i + 1}` })
+    }
+    routes.push({ path: '/r/12', redirect: { name: 'end' }})
+
+    function getError (match, path) {
+      try {
+        match(path)
+      } catch (err) {
+        return err
+      }
+    }
+
+    it('throws on redirect loops', function () {
+      const { match } = createMatcher(routes)
+      const err = getError(match, '/a')
+      expect(err.name).toBe('NavigationRedirectLoop')
+      expect(err.chain).toEqual(['/a', '/b', '/a'])
+      // 抛出错误后，仍可以正常匹配
+      expect(match('/r/5').path).toBe('/end')
+    })
+
+    it('throws when exceeding the maximum number of redirects', function () {
+      const { match } = createMatcher(routes)
+      const err = getError(match, '/r/0')
+      expect(err.name).toBe('NavigationRedirectLoop')
+      expect(err.chain.length).toBe(11)
+      expect(err.chain[10]).toBe('/r/10')
+      expect(match('/r/3').path).toBe('/end')
+    })
+
+    it('detects loops through async redirects', function (done) {
+      const { match } = createMatcher([
+        { path: '/x', redirect: () => Promise.resolve('/y') },
+        { path: '/y', redirect: '/x' }
+      ])
+      const route = match('/x')
+      expect(route.path).toBe('/x')
+      route._pendingRedirect.catch(err => {
+        expect(err.name).toBe('NavigationRedirectLoop')
+        expect(err.chain).toEqual(['/x', '/y', '/x'])
+        done()
+      })
+    })
+
+    it('uses the maxRedirects option', function () {
+      const { match } = createMatcher(routes, { options: { maxRedirects: 2 }})
+      expect(getError(match, '/r/10').chain).toEqual(['/r/10', '/r/11', '/r/12'])
+      expect(match('/r/11').path).toBe('/end')
+    })
+  })
+
   it('allows an empty pathMatch', function () {
     process.env.NODE_ENV = 'development'
     const pathForErrorRoute = match(
@@ -0,0 +1,147 @@
+/*eslint-disable no-undef*/
+import { createRouteTrie } from '../../../src/create-route-trie'
+import { createMatcher } from '../../../src/create-matcher'
+
+describe('Creating Route Trie', function () {
+  const pathList = [
+    '/users/new',
+    '/users/:id',
+    '/users',
+    '/Files/:path*',
+    '/about',
+    '',
+    '*'
+  ]
+  const trie = createRouteTrie(pathList)
+
+  it('returns the routes sharing the static prefix of the path', function () {
+    expect(trie.candidates('/users/new')).toEqual(['/users/new', '/users/:id', '/users', '', '*'])
+    expect(trie.candidates('/users/1')).toEqual(['/users/:id', '/users', '', '*'])
+    expect(trie.candidates('/about/')).toEqual(['/about', '', '*'])
+  })
+
+  it('always returns the routes without a static prefix', function () {
+    expect(trie.candidates('/')).toEqual(['', '*'])
+    expect(trie.candidates('/nope')).toEqual(['', '*'])
+  })
+
+  it('ignores the case of static segments', function () {
+    expect(trie.candidates('/files/a/b')).toEqual(['/Files/:path*', '', '*'])
+    expect(trie.candidates('/USERS')).toEqual(['/users/:id', '/users', '', '*'])
+  })
+})
+
+describe('Compiled matcher', function () {
+  // 生成大量路由，模拟CMS生成的路由表
+  const routes = []
+  for (let i = 0; i < 100; i++) {
+    routes.push({ path: `/section-${i}`, name: `section-${i}` })
+    routes.push({ path: `/section-${i}/:slug`, name: `section-${i}-slug` })
+    for (let j = 0; j < 28; j++) {
+      routes.push({ path: `/section-${i}/page-${j}`, name: `section-${i}-page-${j}` })
+    }
+    routes.push({ path: `/section-${i}/:category/:slug(\\d+)`, name: `section-${i}-category` })
+  }
+  routes.push({ path: '/:lang/about', name: 'about' })
+  routes.push({ path: '/CaseSensitive', name: 'case-sensitive', caseSensitive: true })
+  routes.push({ path: '*', name: 'not-found' })
+
+  const paths = []
+  for (let i = 0; i < 100; i += 3) {
+    paths.push(
+      `/section-${i}`,
+      `/section-${i}/`,
+      `/SECTION-${i}/page-${i % 28}`,
+      `/section-${i}/page-${i % 28}/`,
+      `/section-${i}/foo`,
+      `/section-${i}/foo/${i}`,
+      `/section-${i}/foo/bar`,
+      `/en/about`
+    )
+  }
+  paths.push('/CaseSensitive', '/casesensitive', '/', '/nope/nope')
+
+  let matcher
+
+  beforeAll(function () {
+    matcher = createMatcher(routes)
+  })
+
+  // 逐个测试路由记录的正则，与之前的匹配方式保持一致
+  function linearMatch (path) {
+    const records = matcher.getRoutes()
+    for (let i = 0; i < records.length; i++) {
+      if (records[i].regex.test(path)) return records[i]
+    }
+  }
+
+  function compiledMatch (path) {
+    const { matched } = matcher.match(path)
+    return matched[matched.length - 1]
+  }
+
+  it('matches the same records as a linear search', function () {
+    paths.forEach(path => {
+      expect(compiledMatch(path)).toBe(linearMatch(path), path)
+    })
+  })
+
+  it('returns the same params from the cache', function () {
+    const route = matcher.match('/section-3/foo/12')
+    const cached = matcher.match('/section-3/foo/12')
+    expect(cached.name).toBe('section-3-category')
+    expect(cached.params).toEqual({ category: 'foo', slug: '12' })
+    expect(cached.params).not.toBe(route.params)
+  })
+
+  it('does not share array and date params between routes', function () {
+    const m = createMatcher([
+      { path: '/files/:p+', name: 'files' },
+      { path: '/posts/:date', name: 'posts', params: { date: 'date' }},
+      { path: '/list/:tags*', name: 'list', paramDefaults: { tags: ['all'] }}
+    ])
+    m.match('/files/a/b').params.p.push('X')
+    expect(m.match('/files/a/b').params.p).toEqual(['a', 'b'])
+    const date = m.match('/posts/2020-01-02').params.date
+    date.setFullYear(1999)
+    expect(m.match('/posts/2020-01-02').params.date.getFullYear()).toBe(2020)
+    m.match('/list').params.tags.push('X')
+    expect(m.match('/list').params.tags).toEqual(['all'])
+  })
+
+  it('parses the params of cached matches on every match', function () {
+    const parse = jasmine.createSpy('parse').and.callFake(raw => ({ raw }))
+    const m = createMatcher([{ path: '/items/:id', name: 'item', params: { id: parse }}])
+    const first = m.match('/items/1').params.id
+    first.raw = 'X'
+    const second = m.match('/items/1').params.id
+    expect(second).toEqual({ raw: '1' })
+    expect(second).not.toBe(first)
+    expect(parse).toHaveBeenCalledTimes(2)
+  })
+
+  it('invalidates the cache when routes are added', function () {
+    const m = createMatcher([{ path: '*', name: 'not-found' }])
+    expect(m.match('/added').name).toBe('not-found')
+    m.addRoutes([{ path: '/added', name: 'added' }])
+    expect(m.match('/added').name).toBe('added')
+    m.removeRoute('added')
+    expect(m.match('/added').name).toBe('not-found')
+  })
+
+  it('finds the same records as a linear search without the cache', function () {
+    const records = matcher.getRoutes()
+    const recordMap = {}
+    records.forEach(record => {
+      recordMap[record.path] = record
+    })
+    // 不使用缓存，只检查前缀树找到的路由记录
+    const trie = createRouteTrie(records.map(record => record.path))
+    const trieMatch = path => trie.candidates(path)
+      .map(candidate => recordMap[candidate])
+      .find(record => record.regex.test(path))
+    paths.forEach(path => {
+      expect(trieMatch(path)).toBe(linearMatch(path), path)
+    })
+  })
+})
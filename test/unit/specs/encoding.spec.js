@@ -0,0 +1,119 @@
+/*eslint-disable no-undef*/
+import VueRouter from '../../../src/index'
+import { createMatcher } from '../../../src/create-matcher'
+import {
+  encodeParam,
+  decodeParam,
+  encodePath,
+  decodePath,
+  encodeFullPath
+} from '../../../src/util/encoding'
+
+const values = [
+  'abc',
+  'ü',
+  '日本語',
+  '😀',
+  'a b',
+  'a/b',
+  '100%',
+  '%2F',
+  '%25',
+  '?#&=+',
+  'a;b,c:d@e$',
+  '~!*()\''
+]
+
+describe('Param encoding', () => {
+  const routes = [
+    { path: '/users/:id', name: 'user' },
+    { path: '/files/:segments+', name: 'files' },
+    { path: '*', name: 'not-found' }
+  ]
+
+  // 模拟浏览器：生成的href写入地址栏，再从地址栏读取path进行匹配
+  function roundTrip (match, router, location) {
+    const route = match(location)
+    const url = encodeFullPath(route.fullPath, router.options.encodePath || encodePath)
+    return match(decodePath(url))
+  }
+
+  beforeEach(() => {
+    process.env.NODE_ENV = 'development'
+  })
+
+  describe('defaults', () => {
+    it('encodes params like path-to-regexp', () => {
+      expect(encodeParam('a b/c?d#e%')).toBe('a%20b%2Fc%3Fd%23e%25')
+      expect(encodeParam('ü')).toBe('%C3%BC')
+      expect(encodeParam('a;b,c:d@e')).toBe('a;b,c:d@e')
+    })
+
+    it('decodes params once and leaves invalid sequences intact', () => {
+      spyOn(console, 'warn')
+      expect(decodeParam('%252F')).toBe('%2F')
+      expect(decodeParam('a%2Fb')).toBe('a/b')
+      expect(decodeParam('100%')).toBe('100%')
+      expect(console.warn).toHaveBeenCalledWith('[vue-router] Error decoding "100%". Leaving it intact.')
+    })
+
+    it('encodes paths without encoding escapes twice', () => {
+      expect(encodePath('/users/ü a')).toBe('/users/%C3%BC%20a')
+      expect(encodePath('/users/%C3%BC%2F')).toBe('/users/%C3%BC%2F')
+      expect(encodePath('/users/100%')).toBe('/users/100%25')
+      expect(encodeFullPath('/a b?q=a%20b#c d', encodePath)).toBe('/a%20b?q=a%20b#c d')
+    })
+
+    it('decodes paths read from the url but keeps reserved characters and %25 encoded', () => {
+      expect(decodePath('/users/%C3%BC%20a')).toBe('/users/ü a')
+      expect(decodePath('/users/a%2Fb%3F%23')).toBe('/users/a%2Fb%3F%23')
+      expect(decodePath('/users/%252F')).toBe('/users/%252F')
+      expect(decodePath('/users/%2541%E0')).toBe('/users/%2541%E0')
+    })
+  })
+
+  describe('round trip', () => {
+    const encodings = {
+      default: {},
+      custom: {
+        encodeParam: value => encodeURIComponent(value).replace(/%20/g, '+'),
+        decodeParam: value => decodeURIComponent(value.replace(/\+/g, '%20')),
+        encodePath: path => encodeURI(path).replace(/%25([0-9A-F]{2})/g, '%$1')
+      }
+    }
+
+    Object.keys(encodings).forEach(key => {
+      const router = { options: encodings[key] }
+      const { match } = createMatcher(routes, router)
+
+      values.forEach(value => {
+        it(`keeps the value ${JSON.stringify(value)} with the ${key} encoding`, () => {
+          expect(roundTrip(match, router, { name: 'user', params: { id: value }}).params).toEqual({ id: value })
+          expect(roundTrip(match, router, { name: 'files', params: { segments: [value, value] }}).params)
+            .toEqual({ segments: [value, value] })
+          const route = roundTrip(match, router, { name: 'not-found', params: { pathMatch: `/a/${value}` }})
+          expect(route.name).toBe('not-found')
+          expect(route.params).toEqual({ pathMatch: `/a/${value}` })
+        })
+      })
+    })
+
+    it('uses the custom encoding', () => {
+      const router = { options: encodings.custom }
+      const { match } = createMatcher(routes, router)
+      expect(match({ name: 'user', params: { id: 'a b/c' }}).path).toBe('/users/a+b%2Fc')
+      expect(match('/users/a+b%2Fc').params).toEqual({ id: 'a b/c' })
+    })
+  })
+
+  it('encodes the path of hrefs', () => {
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes,
+      encodePath: path => path.replace(/ /g, '_')
+    })
+    expect(router.resolve('/users/a b?q=a b').href).toBe('/users/a_b?q=a%20b')
+    expect(new VueRouter({ mode: 'abstract', routes }).resolve({ name: 'user', params: { id: 'ü a' }}).href)
+      .toBe('/users/%C3%BC%20a')
+  })
+})
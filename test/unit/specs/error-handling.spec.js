@@ -64,4 +64,168 @@ describe('error handling', () => {
       done()
     })
   })
+
+  it('redirect loops', done => {
+    const router = new VueRouter({
+      routes: [
+        { path: '/a', redirect: '/b' },
+        { path: '/b', redirect: { name: 'c' }},
+        { path: '/c', name: 'c', redirect: '/a' }
+      ]
+    })
+    const spy = jasmine.createSpy('error')
+    router.onError(spy)
+
+    router.push('/a').catch(err => {
+      expect(err.name).toBe('NavigationRedirectLoop')
+      expect(err.chain).toEqual(['/a', '/b', '/c', '/a'])
+      expect(err.message).toBe('Redirect loop detected: /a -> /b -> /c -> /a')
+      expect(spy).toHaveBeenCalledWith(err)
+      done()
+    })
+  })
+
+  it('aborts navigations to redirect loops instead of throwing', () => {
+    process.env.NODE_ENV = 'development'
+    spyOn(console, 'warn')
+    spyOn(console, 'error')
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/', component: {}},
+        { path: '/x', redirect: '/y' },
+        { path: '/y', redirect: '/x' }
+      ]
+    })
+    const onComplete = jasmine.createSpy('complete')
+    const onAbort = jasmine.createSpy('abort')
+    const onNavigationError = jasmine.createSpy('navigationError')
+    router.on('navigationError', onNavigationError)
+
+    expect(() => router.push('/x', onComplete, onAbort)).not.toThrow()
+    expect(onComplete).not.toHaveBeenCalled()
+    const err = onAbort.calls.argsFor(0)[0]
+    expect(err.name).toBe('NavigationRedirectLoop')
+    expect(onNavigationError.calls.argsFor(0)[0].error).toBe(err)
+    expect(onNavigationError.calls.argsFor(0)[0].to.path).toBe('/x')
+    // 没有onError回调时，打印错误
+    expect(console.error).toHaveBeenCalledWith(err)
+    expect(router.currentRoute.path).toBe('/')
+  })
+
+  it('resolves redirect loops to an unmatched route', () => {
+    process.env.NODE_ENV = 'development'
+    spyOn(console, 'warn')
+    const router = new VueRouter({
+      mode: 'abstract',
+      routes: [
+        { path: '/x', redirect: '/y' },
+        { path: '/y', redirect: '/x' }
+      ]
+    })
+    const { route, href } = router.resolve('/x')
+    expect(route.path).toBe('/x')
+    expect(route.matched.length).toBe(0)
+    expect(href).toBe('/x')
+    expect(console.warn).toHaveBeenCalledWith('[vue-router] Redirect loop detected: /x -> /y -> /x')
+  })
+
+  it('guard redirect loops', done => {
+    const router = new VueRouter({
+      routes: [{ path: '/' }, { path: '/a' }, { path: '/b' }]
+    })
+    const guard = jasmine.createSpy('guard').and.callFake((to, from, next) => {
+      if (to.path === '/a') next('/b')
+      else if (to.path === '/b') next({ path: '/a', replace: true })
+      else next()
+    })
+    router.beforeEach(guard)
+    const spy = jasmine.createSpy('error')
+    router.onError(spy)
+
+    router.push('/').then(() => {
+      // 重定向时，原始的跳转被取消
+      router.push('/a').catch(() => {
+        expect(spy).toHaveBeenCalledTimes(1)
+        const err = spy.calls.argsFor(0)[0]
+        expect(err.name).toBe('NavigationRedirectLoop')
+        expect(err.chain).toEqual(['/a', '/b', '/a'])
+        expect(guard).toHaveBeenCalledTimes(3)
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+    })
+  })
+
+  it('allows guards to redirect to the same location once', done => {
+    const router = new VueRouter({
+      routes: [{ path: '/' }]
+    })
+    let added = false
+    router.beforeEach((to, from, next) => {
+      // 首次访问时动态添加路由，再重新匹配
+      if (!added) {
+        added = true
+        router.addRoutes([{ path: '/a' }])
+        next(Object.assign({}, to, { replace: true }))
+      } else {
+        next()
+      }
+    })
+    const spy = jasmine.createSpy('error')
+    router.onError(spy)
+
+    router.push('/a').catch(() => {})
+    router.onReady(() => {
+      expect(spy).not.toHaveBeenCalled()
+      expect(router.currentRoute.path).toBe('/a')
+      expect(router.currentRoute.matched.length).toBe(1)
+      done()
+    })
+  })
+
+  it('guard redirects to the same location more than once', done => {
+    const router = new VueRouter({
+      routes: [{ path: '/' }, { path: '/a' }]
+    })
+    router.beforeEach((to, from, next) => {
+      to.path === '/a' ? next({ path: '/a', replace: true }) : next()
+    })
+    const spy = jasmine.createSpy('error')
+    router.onError(spy)
+
+    router.push('/').then(() => {
+      router.push('/a').catch(() => {
+        const err = spy.calls.argsFor(0)[0]
+        expect(err.name).toBe('NavigationRedirectLoop')
+        expect(err.chain).toEqual(['/a', '/a', '/a'])
+        expect(router.currentRoute.path).toBe('/')
+        done()
+      })
+    })
+  })
+
+  it('guard redirects over maxRedirects', done => {
+    const router = new VueRouter({
+      maxRedirects: 2,
+      routes: [{ path: '/page/:n' }]
+    })
+    router.beforeEach((to, from, next) => {
+      const n = Number(to.params.n)
+      n < 5 ? next(`/page/${n + 1}`) : next()
+    })
+    const spy = jasmine.createSpy('error')
+    router.onError(spy)
+
+    router.push('/page/1').catch(() => {
+      const err = spy.calls.argsFor(0)[0]
+      expect(err.name).toBe('NavigationRedirectLoop')
+      expect(err.chain).toEqual(['/page/1', '/page/2', '/page/3', '/page/4'])
+      expect(err.message).toBe('Too many redirects (more than 2): /page/1 -> /page/2 -> /page/3 -> /page/4')
+      router.push('/page/3').catch(() => {
+        expect(router.currentRoute.path).toBe('/page/5')
+        done()
+      })
+    })
+  })
 })
@@ -0,0 +1,101 @@
+import {
+  normalizeParamTypes,
+  parseParams,
+  stringifyParams
+} from '../../../src/util/param-types'
+
+describe('Param types', () => {
+  describe('parseParams', () => {
+    it('built-in types', () => {
+      const types = normalizeParamTypes({
+        id: 'int',
+        price: 'number',
+        draft: 'boolean',
+        date: 'date'
+      }, '/')
+      const params = { id: '12', price: '9.5', draft: 'false', date: '2020-01-31', slug: 'foo' }
+      expect(parseParams(params, types)).toBe(true)
+      expect(params.id).toBe(12)
+      expect(params.price).toBe(9.5)
+      expect(params.draft).toBe(false)
+      expect(params.date.getTime()).toBe(Date.UTC(2020, 0, 31))
+      expect(params.slug).toBe('foo')
+    })
+
+    it('rejects invalid values without modifying the params', () => {
+      const types = normalizeParamTypes({ id: 'int', draft: 'boolean' }, '/')
+      const params = { id: '12', draft: 'nope' }
+      expect(parseParams(params, types)).toBe(false)
+      expect(params).toEqual({ id: '12', draft: 'nope' })
+      expect(parseParams({ id: '1.5' }, types)).toBe(false)
+      expect(parseParams({ date: 'nope' }, normalizeParamTypes({ date: 'date' }, '/'))).toBe(false)
+    })
+
+    it('regexps', () => {
+      const types = normalizeParamTypes({ slug: /^[a-z-]+$/ }, '/')
+      expect(parseParams({ slug: 'foo-bar' }, types)).toBe(true)
+      expect(parseParams({ slug: 'Foo' }, types)).toBe(false)
+    })
+
+    it('custom parsers', () => {
+      const types = normalizeParamTypes({
+        even: raw => Number(raw) % 2 === 0 ? Number(raw) : undefined,
+        fails: () => { throw new Error('nope') }
+      }, '/')
+      const params = { even: '4' }
+      expect(parseParams(params, types)).toBe(true)
+      expect(params.even).toBe(4)
+      expect(parseParams({ even: '3' }, types)).toBe(false)
+      expect(parseParams({ fails: 'a' }, types)).toBe(false)
+    })
+
+    it('ignores missing params', () => {
+      const types = normalizeParamTypes({ id: 'int' }, '/')
+      expect(parseParams({}, types)).toBe(true)
+    })
+
+    it('accepts already parsed values', () => {
+      const types = normalizeParamTypes({ id: 'int' }, '/')
+      const params = { id: 3 }
+      expect(parseParams(params, types)).toBe(true)
+      expect(params.id).toBe(3)
+    })
+  })
+
+  describe('stringifyParams', () => {
+    it('serializes typed values', () => {
+      const types = normalizeParamTypes({
+        id: 'int',
+        day: 'date',
+        time: 'date',
+        point: {
+          parse: raw => raw.split(',').map(Number),
+          stringify: point => point.join(',')
+        }
+      }, '/')
+      expect(stringifyParams({
+        id: 1,
+        day: new Date(Date.UTC(2020, 0, 31)),
+        time: new Date(Date.UTC(2020, 0, 31, 10)),
+        point: [1, 2],
+        other: 'a'
+      }, types)).toEqual({
+        id: '1',
+        day: '2020-01-31',
+        time: '2020-01-31T10:00:00.000Z',
+        point: '1,2',
+        other: 'a'
+      })
+    })
+  })
+
+  it('in development, warns about unknown types', () => {
+    spyOn(console, 'warn')
+    process.env.NODE_ENV = 'development'
+    normalizeParamTypes({ id: 'integer' }, '/a/:id')
+    expect(console.warn.calls.argsFor(0)[0]).toMatch(
+      'Unknown type "integer" for param "id" in route with path: "/a/:id"'
+    )
+    process.env.NODE_ENV = 'production'
+  })
+})
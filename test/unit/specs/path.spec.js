@@ -1,4 +1,4 @@
-import { resolvePath, parsePath, cleanPath } from '../../../src/util/path'
+import { resolvePath, parsePath, cleanPath, canonicalizePath, canonicalizeURL } from '../../../src/util/path'
 
 describe('Path utils', () => {
   describe('resolvePath', () => {
@@ -74,4 +74,31 @@ describe('Path utils', () => {
       expect(path).toBe('/a/b/d/')
     })
   })
+
+  describe('canonicalizePath', () => {
+    it('collapses slashes by default', () => {
+      expect(canonicalizePath('//a///b/', {})).toBe('/a/b/')
+      expect(canonicalizePath('//a///b/', { collapseSlashes: false })).toBe('//a///b/')
+      expect(canonicalizePath('//a', null)).toBe('//a')
+    })
+
+    it('lowercases', () => {
+      expect(canonicalizePath('/A/b', { lowercase: true })).toBe('/a/b')
+      expect(canonicalizePath('/A/b', {})).toBe('/A/b')
+    })
+
+    it('adds or removes the trailing slash', () => {
+      expect(canonicalizePath('/a', { trailingSlash: 'always' })).toBe('/a/')
+      expect(canonicalizePath('/a/', { trailingSlash: 'always' })).toBe('/a/')
+      expect(canonicalizePath('/a/', { trailingSlash: 'never' })).toBe('/a')
+      expect(canonicalizePath('/', { trailingSlash: 'never' })).toBe('/')
+      expect(canonicalizePath('/a/', { trailingSlash: 'ignore' })).toBe('/a/')
+    })
+
+    it('only changes the path of urls', () => {
+      const options = { trailingSlash: 'always', lowercase: true }
+      expect(canonicalizeURL('/A//B?Q=//x#Top', options)).toBe('/a/b/?Q=//x#Top')
+      expect(canonicalizeURL('/a/', options)).toBe('/a/')
+    })
+  })
 })
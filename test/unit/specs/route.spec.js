@@ -1,6 +1,43 @@
-import { isSameRoute, isIncludedRoute } from '../../../src/util/route'
+import { isSameRoute, isIncludedRoute, createRoute } from '../../../src/util/route'
 
 describe('Route utils', () => {
+  describe('createRoute meta', () => {
+    const parent = { path: '/admin', meta: { requiresAuth: true, title: 'Admin' }}
+    const child = { path: '/admin/users', parent, meta: { title: 'Users' }}
+    const location = { path: '/admin/users' }
+
+    it('merges the meta of the matched records', () => {
+      const route = createRoute(child, location)
+      expect(route.meta).toEqual({ requiresAuth: true, title: 'Users' })
+      expect(route.matched[0].meta).toBe(parent.meta)
+      expect(route.matched[1].meta).toBe(child.meta)
+      expect(parent.meta).toEqual({ requiresAuth: true, title: 'Admin' })
+      // 只有一条路由记录时，直接使用其meta
+      expect(createRoute(parent, { path: '/admin' }).meta).toBe(parent.meta)
+      expect(createRoute(null, location).meta).toEqual({})
+    })
+
+    it('uses the meta of the deepest record with mergeMeta: false', () => {
+      const router = { options: { mergeMeta: false }}
+      expect(createRoute(child, location, null, router).meta).toBe(child.meta)
+    })
+
+    it('supports a custom merge function', () => {
+      const router = {
+        options: {
+          mergeMeta: (parentMeta, childMeta) => ({
+            requiresAuth: parentMeta.requiresAuth || childMeta.requiresAuth,
+            titles: (parentMeta.titles || []).concat(childMeta.title)
+          })
+        }
+      }
+      expect(createRoute(child, location, null, router).meta).toEqual({
+        requiresAuth: true,
+        titles: ['Admin', 'Users']
+      })
+    })
+  })
+
   describe('isSameRoute', () => {
     it('path', () => {
       const a = {
@@ -48,6 +85,35 @@ describe('Route utils', () => {
       expect(isSameRoute(a, c)).toBe(false)
     })
 
+    it('date params', () => {
+      const a = {
+        name: 'a',
+        params: { date: new Date(Date.UTC(2020, 0, 31)) }
+      }
+      const b = {
+        name: 'a',
+        params: { date: new Date(Date.UTC(2020, 0, 31)) }
+      }
+      const c = {
+        name: 'a',
+        params: { date: new Date(Date.UTC(2020, 1, 1)) }
+      }
+      expect(isSameRoute(a, b)).toBe(true)
+      expect(isSameRoute(a, c)).toBe(false)
+    })
+
+    it('array params', () => {
+      const a = { name: 'a', params: { segments: ['a', 'b'] }}
+      const b = { name: 'a', params: { segments: ['a', 'b'] }}
+      const c = { name: 'a', params: { segments: ['a', 'b', 'c'] }}
+      const d = { name: 'a', params: { segments: 'a,b' }}
+      const e = { name: 'a', params: { segments: { 0: 'a', 1: 'b' }}}
+      expect(isSameRoute(a, b)).toBe(true)
+      expect(isSameRoute(a, c)).toBe(false)
+      expect(isSameRoute(a, d)).toBe(false)
+      expect(isSameRoute(a, e)).toBe(false)
+    })
+
     it('queries with null values', () => {
       const a = {
         path: '/abc',
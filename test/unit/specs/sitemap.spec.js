@@ -0,0 +1,119 @@
+/*eslint-disable no-undef*/
+import { enumeratePaths, createSitemap } from '../../../src/sitemap'
+import { createRouteMap } from '../../../src/create-route-map'
+
+const Foo = { template: '<div>foo</div>' }
+
+describe('Enumerating paths', () => {
+  const routes = [
+    { path: '/', component: Foo, meta: { priority: 1 }},
+    { path: '/about', component: Foo, alias: '/about-us', meta: { lastmod: '2020-01-01' }},
+    { path: '/old-about', redirect: '/about' },
+    {
+      path: '/users/:id',
+      component: Foo,
+      enumerateParams: () => Promise.resolve([{ id: 1 }, { id: 2 }]),
+      meta: { lastmod: params => new Date(Date.UTC(2020, 0, params.id)) },
+      children: [
+        { path: '', component: Foo },
+        { path: 'posts', component: Foo }
+      ]
+    },
+    {
+      path: '/tags/:tag',
+      component: Foo,
+      enumerateParams: () => [{ tag: 'a&b' }, { tag: 'c' }, {}]
+    },
+    { path: '/files/:path+', component: Foo, enumerateParams: () => [{ path: ['a', 'b'] }] },
+    { path: '/search/:query?', component: Foo, enumerateParams: () => [{}, { query: 'vue' }] },
+    { path: '/secret/:token', component: Foo },
+    { path: '/docs/*', component: Foo },
+    { path: '*', component: Foo }
+  ]
+
+  beforeEach(() => {
+    spyOn(console, 'warn')
+    process.env.NODE_ENV = 'development'
+  })
+
+  it('lists the concrete paths of the route table', done => {
+    enumeratePaths(routes).then(paths => {
+      expect(paths.sort()).toEqual([
+        '/',
+        '/about',
+        '/files/a/b',
+        '/search',
+        '/search/vue',
+        '/tags/a&b',
+        '/tags/c',
+        '/users/1',
+        '/users/1/posts',
+        '/users/2',
+        '/users/2/posts'
+      ])
+      // 缺少参数以及没有enumerateParams的动态路由会提示
+      expect(console.warn).toHaveBeenCalledWith(
+        '[vue-router] Route with path "/secret/:token" is dynamic and has no "enumerateParams", it will be skipped.'
+      )
+      expect(console.warn).toHaveBeenCalledWith(jasmine.stringMatching('missing param for enumerated path "/tags/:tag"'))
+      done()
+    })
+  })
+
+  it('accepts the output of createRouteMap', done => {
+    enumeratePaths(createRouteMap([
+      { path: '/a', component: Foo },
+      { path: '/b', component: Foo, params: { id: 'int' }, children: [
+        { path: ':id', component: Foo, enumerateParams: () => [{ id: 3 }] }
+      ] }
+    ])).then(paths => {
+      expect(paths).toEqual(['/b/3', '/a', '/b'])
+      done()
+    })
+  })
+
+  it('lists static default children once', done => {
+    enumeratePaths([
+      { path: '/users', component: Foo, children: [
+        { path: '', component: Foo },
+        { path: 'new', component: Foo }
+      ] }
+    ]).then(paths => {
+      expect(paths.sort()).toEqual(['/users', '/users/new'])
+      done()
+    })
+  })
+
+  it('rejects when a provider fails', done => {
+    enumeratePaths([
+      { path: '/users/:id', component: Foo, enumerateParams: () => Promise.reject(new Error('oops')) }
+    ]).catch(err => {
+      expect(err.message).toBe('oops')
+      done()
+    })
+  })
+
+  it('creates a sitemap', done => {
+    createSitemap(routes.slice(0, 4), { baseUrl: 'https://example.com/' }).then(xml => {
+      expect(xml).toBe(
+        '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+        '  <url>\n    <loc>https://example.com/users/1</loc>\n    <lastmod>2020-01-01T00:00:00.000Z</lastmod>\n  </url>\n' +
+        '  <url>\n    <loc>https://example.com/users/2</loc>\n    <lastmod>2020-01-02T00:00:00.000Z</lastmod>\n  </url>\n' +
+        '  <url>\n    <loc>https://example.com/users/1/posts</loc>\n    <lastmod>2020-01-01T00:00:00.000Z</lastmod>\n  </url>\n' +
+        '  <url>\n    <loc>https://example.com/users/2/posts</loc>\n    <lastmod>2020-01-02T00:00:00.000Z</lastmod>\n  </url>\n' +
+        '  <url>\n    <loc>https://example.com/about</loc>\n    <lastmod>2020-01-01</lastmod>\n  </url>\n' +
+        '  <url>\n    <loc>https://example.com/</loc>\n    <priority>1</priority>\n  </url>\n' +
+        '</urlset>\n'
+      )
+      done()
+    })
+  })
+
+  it('escapes the urls', done => {
+    createSitemap([{ path: '/a&b', component: Foo }]).then(xml => {
+      expect(xml).toContain('<loc>/a&amp;b</loc>')
+      done()
+    })
+  })
+})
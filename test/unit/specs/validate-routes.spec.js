@@ -0,0 +1,131 @@
+/*eslint-disable no-undef*/
+import { validateRoutes } from '../../../src/validate-routes'
+
+const Foo = { template: '<div>foo</div>' }
+
+describe('Validating routes', () => {
+  const codes = routes => validateRoutes(routes).map(problem => problem.code)
+
+  it('returns no problems for a valid route table', () => {
+    expect(validateRoutes([
+      { path: '/', name: 'home', component: Foo },
+      {
+        path: '/users/:id',
+        component: Foo,
+        props: true,
+        alias: '/people/:id',
+        children: [
+          { path: '', name: 'user', component: Foo },
+          { path: 'posts', components: { default: Foo, aside: Foo }, props: { default: true }}
+        ]
+      },
+      { path: '/u/:id', redirect: '/users/:id' },
+      { path: '/old-home', redirect: { name: 'home' }},
+      { path: '/me', redirect: { name: 'user', params: { id: 'me' }}},
+      { path: '/dynamic', redirect: to => '/' },
+      { path: '*', component: Foo }
+    ])).toEqual([])
+  })
+
+  it('reports the problems of each route config', () => {
+    const problems = validateRoutes([
+      { path: '/a', component: 'foo', compnent: Foo },
+      { name: 'missing', component: Foo },
+      { path: '/b', component: Foo, props: 'id' }
+    ])
+    expect(problems.map(problem => [problem.code, problem.path, problem.name])).toEqual([
+      ['unknown-key', '/a', undefined],
+      ['string-component', '/a', undefined],
+      ['missing-path', null, 'missing'],
+      ['invalid-props', '/b', undefined]
+    ])
+    expect(problems[0].message).toBe('Unknown key "compnent" in route config: /a')
+  })
+
+  it('accepts pathless groups', () => {
+    expect(validateRoutes([
+      { path: '/login', component: Foo },
+      { component: Foo, children: [{ path: 'register', component: Foo }] },
+      { component: Foo }
+    ]).map(problem => [problem.code, problem.path])).toEqual([
+      ['missing-path', null]
+    ])
+    expect(codes([
+      { path: '/register', component: Foo },
+      { component: Foo, children: [{ path: 'register', component: Foo }] }
+    ])).toEqual(['shadowed-path'])
+  })
+
+  it('accepts routes with the same path and canMatch', () => {
+    expect(codes([
+      { path: '/dashboard', component: Foo, canMatch: () => true },
+      { path: '/dashboard', component: Foo }
+    ])).toEqual([])
+  })
+
+  it('reports duplicate names', () => {
+    expect(codes([
+      { path: '/a', name: 'a', component: Foo },
+      { path: '/b', name: 'a', component: Foo }
+    ])).toEqual(['duplicate-name'])
+  })
+
+  it('validates each locale of localized paths', () => {
+    expect(validateRoutes([
+      {
+        path: { en: '/products', de: '/produkte' },
+        name: 'products',
+        component: Foo,
+        children: [{ path: ':id', name: 'product', component: Foo }]
+      },
+      { path: { en: '/about', de: '/ueber-uns' }, name: 'about', component: Foo }
+    ])).toEqual([])
+    expect(validateRoutes([
+      { path: { en: '/about', de: '/ueber-uns' }, component: Foo, extra: true },
+      { path: '/ueber-uns', component: Foo }
+    ]).map(problem => [problem.code, problem.path])).toEqual([
+      ['unknown-key', '/about'],
+      ['shadowed-path', '/ueber-uns']
+    ])
+  })
+
+  it('reports absolute child paths shadowing other routes', () => {
+    const problems = validateRoutes([
+      { path: '/settings', component: Foo },
+      { path: '/users', component: Foo, children: [{ path: '/settings', component: Foo }] }
+    ])
+    expect(problems.length).toBe(1)
+    expect(problems[0].code).toBe('shadowed-path')
+    expect(problems[0].path).toBe('/settings')
+    expect(problems[0].message).toContain('absolute paths of nested routes')
+  })
+
+  it('reports aliases colliding with real paths', () => {
+    expect(codes([
+      { path: '/a', component: Foo, alias: ['/b', '/c'] },
+      { path: '/b', component: Foo }
+    ])).toEqual(['alias-collision'])
+  })
+
+  it('reports redirects to unknown names', () => {
+    expect(codes([
+      { path: '/a', redirect: { name: 'nope' }}
+    ])).toEqual(['unknown-redirect-name'])
+  })
+
+  it('reports params required by a redirect but absent from the source path', () => {
+    const problems = validateRoutes([
+      { path: '/users/:id/:tab', name: 'user', component: Foo },
+      { path: '/u/:id', redirect: { name: 'user' }},
+      { path: '/u/:id/t', redirect: { name: 'user', params: { tab: 'main' }}},
+      { path: '/parent', component: Foo, children: [{ path: 'child', redirect: ':id' }] }
+    ])
+    expect(problems.map(problem => [problem.code, problem.path])).toEqual([
+      ['missing-redirect-param', '/u/:id'],
+      ['missing-redirect-param', '/parent/child']
+    ])
+    expect(problems[0].message).toBe(
+      'Route with path "/u/:id" redirects to "/users/:id/:tab" but does not provide the params: tab.'
+    )
+  })
+})
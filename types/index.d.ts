@@ -9,8 +9,23 @@ export {
   RedirectOption,
   RouterOptions,
   RouteConfig,
+  LocalePrefixOptions,
+  CanonicalizationOptions,
+  ParamType,
   RouteRecord,
   Location,
   Route,
-  NavigationGuard
+  MatchExplanation,
+  NavigationRedirectLoop,
+  RouteProblem,
+  SitemapOptions,
+  NavigationGuard,
+  NavigationGuardReturn,
+  NavigationFailure,
+  MissingParamError,
+  InvalidParamError,
+  NavigationGuardInfo,
+  SlowNavigation,
+  NavigationEvent,
+  NavigationEventPayload
 } from './router'
@@ -6,12 +6,16 @@ type ErrorHandler = (err: Error) => void
 
 export type RouterMode = 'hash' | 'history' | 'abstract'
 export type RawLocation = string | Location
-export type RedirectOption = RawLocation | ((to: Route) => RawLocation)
+export type RedirectOption =
+  | RawLocation
+  | ((to: Route) => RawLocation | Promise<RawLocation>)
+export type NavigationGuardReturn = void | boolean | RawLocation | Error
+// the return value of guards declaring next is ignored, so any value is accepted
 export type NavigationGuard<V extends Vue = Vue> = (
   to: Route,
   from: Route,
   next: (to?: RawLocation | false | ((vm: V) => any) | void) => void
-) => any
+) => NavigationGuardReturn | Promise<NavigationGuardReturn> | any
 
 export declare class VueRouter {
   constructor(options?: RouterOptions)
@@ -19,10 +23,13 @@ export declare class VueRouter {
   app: Vue
   mode: RouterMode
   currentRoute: Route
+  locale?: string | null
 
   beforeEach(guard: NavigationGuard): Function
   beforeResolve(guard: NavigationGuard): Function
-  afterEach(hook: (to: Route, from: Route) => any): Function
+  afterEach(
+    hook: (to: Route, from: Route, failure?: NavigationFailure) => any
+  ): Function
   push(location: RawLocation): Promise<Route>
   replace(location: RawLocation): Promise<Route>
   push(
@@ -38,10 +45,37 @@ export declare class VueRouter {
   go(n: number): void
   back(): void
   forward(): void
+  cancelPending(): void
+  onSlowNavigation(hook: (info: SlowNavigation) => any): Function
+  on(
+    event: NavigationEvent,
+    listener: (payload: NavigationEventPayload) => any
+  ): Function
   getMatchedComponents(to?: RawLocation | Route): Component[]
   onReady(cb: Function, errorCb?: ErrorHandler): void
   onError(cb: ErrorHandler): void
   addRoutes(routes: RouteConfig[]): void
+  addRoute(route: RouteConfig): void
+  addRoute(parentName: string, route: RouteConfig): void
+  removeRoute(name: string): void
+  hasRoute(name: string): boolean
+  getRoutes(): RouteRecord[]
+  explain(to: RawLocation, current?: Route): MatchExplanation
+  canonicalize(url: string): string
+  buildPath(
+    name: string,
+    params?: Dictionary<any>,
+    query?: Dictionary<string | (string | null)[] | null | undefined>,
+    hash?: string
+  ): string
+  tryBuildPath(
+    name: string,
+    params?: Dictionary<any>,
+    query?: Dictionary<string | (string | null)[] | null | undefined>,
+    hash?: string
+  ):
+    | { path: string; error: null }
+    | { path: null; error: MissingParamError | InvalidParamError | Error }
   resolve(
     to: RawLocation,
     current?: Route,
@@ -53,14 +87,103 @@ export declare class VueRouter {
     // backwards compat
     normalizedTo: Location
     resolved: Route
+    pendingRedirect?: Promise<Route>
   }
 
   static install: PluginFunction<never>
+  static validateRoutes(routes: RouteConfig[]): RouteProblem[]
+  static enumeratePaths(routes: RouteConfig[]): Promise<string[]>
+  static createSitemap(
+    routes: RouteConfig[],
+    options?: SitemapOptions
+  ): Promise<string>
+  static isNavigationFailure(
+    error: any,
+    type?: number
+  ): error is NavigationFailure
+  static NavigationFailureType: {
+    redirected: number
+    aborted: number
+    cancelled: number
+    duplicated: number
+    timeout: number
+  }
+  static MissingParamError: typeof MissingParamError
+  static InvalidParamError: typeof InvalidParamError
+}
+
+export declare class MissingParamError extends Error {
+  constructor(route: string, param: string)
+  route: string
+  param: string
+}
+
+export declare class InvalidParamError extends Error {
+  constructor(route: string, param: string, value: any)
+  route: string
+  param: string
+  value: any
+}
+
+export interface NavigationFailure extends Error {
+  to: Route
+  from: Route
+  type: number
+  // only available on timeout failures
+  guard?: NavigationGuardInfo
+  timeout?: number
+}
+
+export interface NavigationGuardInfo {
+  kind: 'global' | 'beforeEnter' | 'component'
+  name: string
+  record?: RouteRecord
+}
+
+export type NavigationEvent =
+  | 'navigationStart'
+  | 'guardStart'
+  | 'guardEnd'
+  | 'componentsResolved'
+  | 'navigationEnd'
+  | 'navigationCancel'
+  | 'navigationError'
+
+export interface NavigationEventPayload {
+  to: Route
+  from: Route
+  time: number
+  // time elapsed since the start of the navigation, or of the guard for guardEnd
+  duration?: number
+  // guardStart and guardEnd
+  guard?: NavigationGuardInfo
+  // navigationCancel
+  failure?: NavigationFailure
+  // navigationError
+  error?: any
+}
+
+export interface SlowNavigation {
+  to: Route
+  from: Route
+  guard: NavigationGuardInfo
+  elapsed: number
 }
 
 type Position = { x: number; y: number }
 type PositionResult = Position | { selector: string; offset?: Position } | void
 
+export interface CanonicalizationOptions {
+  trailingSlash?: 'always' | 'never' | 'ignore'
+  lowercase?: boolean
+  collapseSlashes?: boolean
+}
+
+export interface LocalePrefixOptions {
+  locales: string[]
+  defaultLocale?: string
+}
+
 export interface RouterOptions {
   routes?: RouteConfig[]
   mode?: RouterMode
@@ -70,6 +193,19 @@ export interface RouterOptions {
   linkExactActiveClass?: string
   parseQuery?: (query: string) => Object
   stringifyQuery?: (query: Object) => string
+  strictRoutes?: boolean
+  maxRedirects?: number
+  strictParams?: boolean
+  omitDefaultParams?: boolean
+  encodeParam?: (value: string) => string
+  decodeParam?: (value: string) => string
+  encodePath?: (path: string) => string
+  mergeMeta?: boolean | ((parentMeta: any, childMeta: any) => any)
+  guardTimeout?: number
+  slowNavigationThreshold?: number
+  canonicalization?: CanonicalizationOptions
+  locale?: string
+  localePrefix?: LocalePrefixOptions
   scrollBehavior?: (
     to: Route,
     from: Route,
@@ -79,6 +215,15 @@ export interface RouterOptions {
 
 type RoutePropsFunction = (route: Route) => Object
 
+export type ParamType =
+  | 'int'
+  | 'number'
+  | 'boolean'
+  | 'date'
+  | RegExp
+  | ((raw: string) => any)
+  | { parse: (raw: string) => any; stringify?: (value: any) => string }
+
 export interface PathToRegexpOptions {
   sensitive?: boolean
   strict?: boolean
@@ -86,7 +231,7 @@ export interface PathToRegexpOptions {
 }
 
 export interface RouteConfig {
-  path: string
+  path?: string | Dictionary<string>
   name?: string
   component?: Component
   components?: Dictionary<Component>
@@ -98,6 +243,12 @@ export interface RouteConfig {
   props?: boolean | Object | RoutePropsFunction
   caseSensitive?: boolean
   pathToRegexpOptions?: PathToRegexpOptions
+  params?: Dictionary<ParamType>
+  paramDefaults?: Dictionary<any>
+  enumerateParams?: () => Dictionary<any>[] | Promise<Dictionary<any>[]>
+  loadChildren?: () => Promise<RouteConfig[]>
+  canMatch?: (location: Location, router: VueRouter) => boolean
+  guardTimeout?: number
 }
 
 export interface RouteRecord {
@@ -109,6 +260,9 @@ export interface RouteRecord {
   parent?: RouteRecord
   redirect?: RedirectOption
   matchAs?: string
+  locale?: string
+  pathless: boolean
+  alias: string[]
   meta: any
   beforeEnter?: (
     route: Route,
@@ -127,7 +281,8 @@ export interface Location {
   path?: string
   hash?: string
   query?: Dictionary<string | (string | null)[] | null | undefined>
-  params?: Dictionary<string>
+  params?: Dictionary<any>
+  locale?: string
   append?: boolean
   replace?: boolean
 }
@@ -137,9 +292,55 @@ export interface Route {
   name?: string | null
   hash: string
   query: Dictionary<string | (string | null)[]>
-  params: Dictionary<string>
+  params: Dictionary<any>
   fullPath: string
   matched: RouteRecord[]
   redirectedFrom?: string
   meta?: any
+  locale?: string
+  // only available on the route passed to navigation guards
+  signal?: AbortSignal
+}
+
+export interface MatchExplanation {
+  route: Route
+  tested: {
+    path: string
+    name?: string
+    regex: string
+    matched: boolean
+    params: Dictionary<any>
+    reason?: string
+  }[]
+  hops: {
+    type: 'redirect' | 'alias'
+    from: string
+    to: Location
+  }[]
+  // only available when the redirects form a loop
+  error?: NavigationRedirectLoop
+}
+
+export interface NavigationRedirectLoop extends Error {
+  chain: string[]
+}
+
+export interface SitemapOptions {
+  baseUrl?: string
+}
+
+export interface RouteProblem {
+  code:
+    | 'unknown-key'
+    | 'missing-path'
+    | 'string-component'
+    | 'invalid-props'
+    | 'shadowed-path'
+    | 'duplicate-name'
+    | 'alias-collision'
+    | 'unknown-redirect-name'
+    | 'missing-redirect-param'
+  path: string | null
+  name?: string
+  message: string
 }
@@ -1,7 +1,7 @@
 import Vue, { ComponentOptions, AsyncComponent } from 'vue'
 
 import VueRouter from '../index'
-import { Route, RouteRecord, RedirectOption } from '../index'
+import { Route, RouteRecord, RedirectOption, MatchExplanation, RouteProblem } from '../index'
 
 Vue.use(VueRouter)
 
@@ -43,6 +43,18 @@ const router = new VueRouter({
   fallback: false,
   linkActiveClass: 'active',
   linkExactActiveClass: 'exact-active',
+  strictRoutes: true,
+  strictParams: true,
+  omitDefaultParams: true,
+  guardTimeout: 10000,
+  slowNavigationThreshold: 3000,
+  encodeParam: value => encodeURIComponent(value),
+  decodeParam: value => decodeURIComponent(value),
+  encodePath: path => encodeURI(path),
+  canonicalization: { trailingSlash: 'never', lowercase: true, collapseSlashes: true },
+  mergeMeta: (parentMeta, childMeta) => ({ ...parentMeta, ...childMeta }),
+  locale: 'en',
+  localePrefix: { locales: ['en', 'de'], defaultLocale: 'en' },
   scrollBehavior: (to, from, savedPosition) => {
     if (from.path === '/') {
       return { selector: '#app' }
@@ -101,7 +113,25 @@ const router = new VueRouter({
       ]
     },
     { path: '/home', alias: '/' },
+    { path: { en: '/about', de: '/ueber-uns' }, name: 'about' },
+    {
+      path: '/legacy/:id',
+      redirect: to => Promise.resolve({ name: 'post', params: { slug: to.params.id } })
+    },
     { path: '/foo', props: true },
+    {
+      path: '/typed/:id/:slug/:date/:point',
+      params: {
+        id: 'int',
+        slug: /^[a-z-]+$/,
+        date: (raw: string) => new Date(raw),
+        point: {
+          parse: (raw: string) => raw.split(',').map(Number),
+          stringify: (point: number[]) => point.join(',')
+        }
+      }
+    },
+    { path: '/list/:page?', params: { page: 'int' }, paramDefaults: { page: 1 }},
     { path: '/bar', props: { id: 123 }},
     { path: '/baz', props: (route: Route) => route.params },
     { path: '*', redirect: '/' }
@@ -140,6 +170,34 @@ const unregister = router.beforeEach((to, from, next) => {
 })
 
 unregister()
+router.beforeEach((to, from, next) => setTimeout(next, 10))
+
+router.beforeEach(to => to.path !== '/admin')
+router.beforeEach(to => {
+  if (to.signal) to.signal.addEventListener('abort', () => {})
+})
+router.cancelPending()
+const removeListener: Function = router.on('navigationEnd', ({ to, from, time, duration }) => {
+  const elapsed: number | undefined = duration
+})
+router.on('guardEnd', payload => {
+  if (payload.guard) {
+    const name: string = payload.guard.name
+  }
+})
+router.on('navigationCancel', ({ failure }) => {
+  if (failure) {
+    const type: number = failure.type
+  }
+})
+const removeSlowHook: Function = router.onSlowNavigation(({ to, from, guard, elapsed }) => {
+  const kind: 'global' | 'beforeEnter' | 'component' = guard.kind
+  const path: string | undefined = guard.record && guard.record.path
+})
+router.beforeEach(async to => {
+  if (to.meta.requiresAuth) return { name: 'login' }
+})
+router.beforeResolve(() => Promise.resolve(new Error('denied')))
 
 router.beforeResolve((to, from, next) => {
   to.params
@@ -147,6 +205,24 @@ router.beforeResolve((to, from, next) => {
   next()
 })
 
+router.afterEach((to, from, failure) => {
+  if (failure) {
+    const path: string = failure.from.fullPath + failure.to.fullPath
+    const type: number = failure.type
+  }
+})
+
+router.push('/').catch(err => {
+  const { isNavigationFailure, NavigationFailureType } = VueRouter
+  if (isNavigationFailure(err, NavigationFailureType.aborted | NavigationFailureType.cancelled)) {
+    const to: Route = err.to
+  }
+  if (isNavigationFailure(err, NavigationFailureType.timeout) && err.guard) {
+    const timeout: number | undefined = err.timeout
+    const guardName: string = err.guard.name
+  }
+})
+
 router.afterEach((to, from) => {
   to.params
   from.params
@@ -183,6 +259,59 @@ router
 router.onReady(() => {})
 
 router.addRoutes([{ path: '/more' }])
+router.addRoute({ path: '/more', name: 'more' })
+router.addRoute('home', { path: 'nested' })
+router.removeRoute('more')
+const hasMore: boolean = router.hasRoute('more')
+const records: RouteRecord[] = router.getRoutes()
+const problems: RouteProblem[] = VueRouter.validateRoutes([
+  { path: '/foo', redirect: { name: 'bar' } }
+])
+const problemCode: string = problems[0].code
+const canonicalURL: string = router.canonicalize('/Foo/')
+const builtPath: string = router.buildPath('user', { id: 1 }, { tab: 'posts' }, 'top')
+const buildResult = router.tryBuildPath('user', { id: 1 })
+if (buildResult.error) {
+  const errorName: string = buildResult.error.name
+  if (buildResult.error instanceof VueRouter.MissingParamError) {
+    const missingParam: string = buildResult.error.param
+  } else if (buildResult.error instanceof VueRouter.InvalidParamError) {
+    const invalidValue: any = buildResult.error.value
+  }
+} else {
+  const safePath: string = buildResult.path
+}
+VueRouter.enumeratePaths([
+  { path: '/users/:id', enumerateParams: () => Promise.resolve([{ id: 1 }]) }
+]).then((paths: string[]) => {})
+router.addRoute({
+  path: '/dashboard',
+  component: Foo,
+  canMatch: (location, router) => location.path === '/dashboard' && !!router.app
+})
+router.addRoute({
+  path: '/reports',
+  component: Foo,
+  guardTimeout: 30000
+})
+router.addRoute({
+  component: Foo,
+  children: [{ path: '/login', component: Foo }]
+})
+router.addRoute({
+  path: '/admin',
+  loadChildren: () => Promise.resolve([{ path: 'users', component: Foo }])
+})
+VueRouter.createSitemap([{ path: '/' }], { baseUrl: 'https://example.com' })
+  .then((xml: string) => {})
+router.locale = 'de'
+router.push({ name: 'about', locale: 'en' })
+const routeLocale: string | undefined = router.currentRoute.locale
+const pendingRedirect: Promise<Route> | undefined = router.resolve('/foo').pendingRedirect
+const explanation: MatchExplanation = router.explain('/foo')
+const testedRegex: string = explanation.tested[0].regex
+const hopType: 'redirect' | 'alias' = explanation.hops[0].type
+const loopChain: string[] | undefined = explanation.error && explanation.error.chain
 
 router.go(-1)
 router.back()